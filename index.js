@@ -1,6 +1,13 @@
 export { Activities } from './source/activities.js'
 export { ImmersSocket } from './source/streaming.js'
-export { catchToken, DestinationOAuthPopup, ImmerOAuthPopup, tokenToActor, SCOPES, allScopes, roles } from './source/authUtils.js'
+export { catchToken, DestinationOAuthPopup, ImmerOAuthPopup, DestinationOAuthRedirect, ImmerOAuthRedirect, DestinationOAuthSilent, ImmerOAuthSilent, completeRedirectLogin, discoverOAuthEndpoints, tokenToActor, exchangeCode, SCOPES, allScopes, roles } from './source/authUtils.js'
 export { ImmersClient } from './source/client.js'
 export { ImmersHUD } from './source/ImmersHUD/ImmersHUD.js'
 export { parseHandle } from './source/utils.js'
+export { memoryStorage, webStorage, indexedDBStorage } from './source/storage.js'
+export { ImmersAuthError, ImmersAuthDeniedError, ImmersAuthCancelledError, ImmersAuthTimeoutError, ImmersScopeError, ImmersSessionExpiredError, ImmersHTTPError, ImmersNetworkError } from './source/errors.js'
+export { Transport, transport } from './source/transport.js'
+export { ObjectCache } from './source/objectCache.js'
+export { ReactionTally } from './source/reactions.js'
+export { captureCanvas } from './source/screenshot.js'
+export { configureEnvironment } from './source/environment.js'
@@ -0,0 +1,13 @@
+// Entry point for Node.js and workers, without the DOM-only ImmersHUD web component and browser login flows
+export { Activities } from './source/activities.js'
+export { ImmersSocket } from './source/streaming.js'
+export { discoverOAuthEndpoints, tokenToActor, exchangeCode, SCOPES, allScopes, roles } from './source/authUtils.js'
+export { ImmersClient } from './source/client.js'
+export { parseHandle } from './source/utils.js'
+export { memoryStorage, webStorage, indexedDBStorage } from './source/storage.js'
+export { ImmersAuthError, ImmersAuthDeniedError, ImmersAuthCancelledError, ImmersAuthTimeoutError, ImmersScopeError, ImmersSessionExpiredError, ImmersHTTPError, ImmersNetworkError } from './source/errors.js'
+export { Transport, transport } from './source/transport.js'
+export { ObjectCache } from './source/objectCache.js'
+export { ReactionTally } from './source/reactions.js'
+export { captureCanvas } from './source/screenshot.js'
+export { configureEnvironment } from './source/environment.js'
@@ -10,7 +10,7 @@ try {
 }
 (async function () {
   if (catchToken()) {
-    // token was passed to opener window; this is just a popup
+    // token was passed to opener window or original page; this is just a token catcher
     return
   }
   const installHUD = () => {
@@ -24,6 +24,14 @@ try {
       hud.setAttribute('access-role', scriptArgs.role ?? roles[1])
       if (scriptArgs.save === 'true') {
         hud.setAttribute('allow-storage', 'true')
+        // stored sessions can be renewed after expiry without user interaction
+        hud.setAttribute('silent-reauth', 'true')
+      }
+      if (scriptArgs.login) {
+        hud.setAttribute('login-mode', scriptArgs.login)
+      }
+      if (scriptArgs.pkce === 'true') {
+        hud.setAttribute('pkce', 'true')
       }
       document.body.appendChild(hud)
     }
@@ -1,6 +1,7 @@
 import htmlTemplate from './ImmersHUD.html'
 import styles from './ImmersHUD.css'
-import { ImmersClient } from '../client'
+import { ImmersClient } from '../client.js'
+import { ImmersAuthCancelledError, ImmersAuthDeniedError, ImmersAuthTimeoutError } from '../errors.js'
 
 /**
  * Web Component heads-up display for Immers profile login.
@@ -16,6 +17,8 @@ import { ImmersClient } from '../client'
  *
  * @fires immers-hud-connected - On successful login, detail.profile will include users {@link Profile}
  *
+ * When more than one account has been used to login, an account picker is shown to switch between them.
+ *
  * @prop {'top-left'|'top-right'|'bottom-left'|'bottom-right'} [position] - Enable overlay positioning.
  * @prop {string} token-catcher - OAuth redirect URL, a page on your domain that runs {@link catchToken} on load
  * @prop {string} access-role - Requested authorization scope from {@link roles}. Users are given the option to alter this and grant a different level.
@@ -23,6 +26,11 @@ import { ImmersClient } from '../client'
  * @prop {string} [destination-url] Sharable URL for your experience (required if you don't have a local Immers Server)
  * @prop {string} [local-immer] Origin of your local Immers Server, if you have one
  * @prop {boolean} [allow-storage] Enable local storage of user identity to reconnect when returning to page
+ * @prop {boolean} [encrypt-credentials] Encrypt the stored access token with a key that can't be extracted from the browser
+ * @prop {boolean} [pkce] Use the OAuth authorization code flow with PKCE instead of the implicit token flow
+ * @prop {boolean} [silent-reauth] When the session expires, try to renew it without user interaction before asking the user to login again
+ * @prop {'popup'|'redirect'|'auto'} [login-mode] Authorize in a pop-up window (default), by navigating the whole page
+ * (for VR headset browsers and in-app webviews), or with a pop-up that falls back to redirect if blocked
  * @prop {'true'|'false'} open - Toggles between icon and full HUD view
  *
  * @example <caption>Load & register the custom element via import (option 1)</caption>
@@ -38,6 +46,7 @@ import { ImmersClient } from '../client'
 export class ImmersHUD extends window.HTMLElement {
   #queryCache = {}
   #container
+  #sessionExpired = false
   /**
    * @prop {FriendStatus[]} - Live-updated friends list with current status
    */
@@ -71,7 +80,10 @@ export class ImmersHUD extends window.HTMLElement {
         name: this.getAttribute('destination-name'),
         url: this.getAttribute('destination-url')
       }, {
-        allowStorage: this.hasAttribute('allow-storage')
+        allowStorage: this.hasAttribute('allow-storage'),
+        encryptCredentials: this.hasAttribute('encrypt-credentials'),
+        silentReauth: this.hasAttribute('silent-reauth'),
+        tokenCatcherURL: this.getAttribute('token-catcher')
       })
       this.immersClient.addEventListener(
         'immers-client-friends-update',
@@ -85,6 +97,14 @@ export class ImmersHUD extends window.HTMLElement {
         'immers-client-disconnected',
         () => this.onClientDisconnected()
       )
+      this.immersClient.addEventListener(
+        'immers-client-login-error',
+        ({ detail: { error } }) => this.onLoginError(error)
+      )
+      this.immersClient.addEventListener(
+        'immers-client-session-expired',
+        () => { this.#sessionExpired = true }
+      )
     }
 
     this.#container.addEventListener('click', evt => {
@@ -105,17 +125,38 @@ export class ImmersHUD extends window.HTMLElement {
           break
       }
     })
+    this.#el('account-picker').addEventListener('change', evt => {
+      const handle = evt.target.value
+      if (handle === ImmersHUD.ADD_ACCOUNT) {
+        // show login form to connect another account
+        this.immersClient.disconnect()
+        this.#el('handle-input').value = ''
+        this.#el('handle-input').focus()
+      } else {
+        this.immersClient.switchAccount(handle).then(connected => {
+          if (!connected) {
+            this.#promptLogin()
+          }
+        })
+      }
+    })
 
-    if (this.immersClient.handle) {
-      this.#el('handle-input').value = this.immersClient.handle
+    this.immersClient.ready.then(() => {
+      if (this.immersClient.handle) {
+        this.#el('handle-input').value = this.immersClient.handle
+      }
+    })
+    this.immersClient.redirectLoginComplete.then(completed => {
+      if (completed || !this.immersClient.handle) {
+        return
+      }
       this.immersClient.reconnect().then(connected => {
         if (!connected) {
           // user has logged in before, but action required to reconnect
-          // prompt with open, pre-filled login
-          this.setAttribute('open', true)
+          this.#promptLogin()
         }
       })
-    }
+    })
   }
 
   attributeChangedCallback (name, oldValue, newValue) {
@@ -132,14 +173,18 @@ export class ImmersHUD extends window.HTMLElement {
   }
 
   login () {
+    this.#el('login-error').classList.add('removed')
     return this.immersClient.connect(
       this.getAttribute('token-catcher'),
       this.getAttribute('access-role'),
-      this.#el('handle-input').value
-    )
+      this.#el('handle-input').value,
+      { pkce: this.hasAttribute('pkce'), mode: this.getAttribute('login-mode') ?? 'popup' }
+    ).catch(err => this.onLoginError(err))
   }
 
   onClientConnected (profile) {
+    this.#sessionExpired = false
+    this.#el('login-error').classList.add('removed')
     this.#el('login-container').classList.add('removed')
     this.#el('status-container').classList.remove('removed')
     // show profile info
@@ -148,16 +193,36 @@ export class ImmersHUD extends window.HTMLElement {
     }
     this.#el('username').textContent = profile.displayName
     this.#el('profile-link').setAttribute('href', profile.url)
+    this.#updateAccountPicker()
     this.#emit('immers-hud-connected', { profile })
   }
 
+  onLoginError (error) {
+    let message = 'Unable to login, please try again'
+    if (error instanceof ImmersAuthDeniedError) {
+      message = 'Access was not granted'
+    } else if (error instanceof ImmersAuthCancelledError) {
+      message = 'Login window was closed or blocked'
+    } else if (error instanceof ImmersAuthTimeoutError) {
+      message = 'Login timed out, please try again'
+    }
+    console.warn(`immers-hud: login failed: ${error.message}`)
+    this.#el('login-error').textContent = message
+    this.#el('login-error').classList.remove('removed')
+    this.setAttribute('open', true)
+  }
+
   onClientDisconnected () {
     this.#el('login-container').classList.remove('removed')
     this.#el('status-container').classList.add('removed')
-    this.#el('handle-input').value = ''
+    // handle is retained after session expiry, but not after logout
+    this.#el('handle-input').value = this.immersClient.handle ?? ''
     this.#el('logo').style.backgroundImage = ''
     this.#el('username').textContent = ''
     this.#el('profile-link').setAttribute('href', '#')
+    if (this.#sessionExpired) {
+      this.#promptLogin()
+    }
   }
 
   onFriendsUpdate (friends) {
@@ -168,6 +233,35 @@ export class ImmersHUD extends window.HTMLElement {
     this.#el('status-message').textContent = `${friends.filter(f => f.isOnline).length}/${friends.length} friends online`
   }
 
+  // account picker is only shown when more than one account is saved
+  #updateAccountPicker () {
+    const picker = this.#el('account-picker')
+    const accounts = this.immersClient.listAccounts()
+    picker.classList.toggle('removed', accounts.length < 2)
+    picker.replaceChildren(
+      ...accounts.map(account => {
+        const option = document.createElement('option')
+        option.value = account.handle
+        option.textContent = account.handle
+        option.selected = account.active
+        return option
+      })
+    )
+    const addOption = document.createElement('option')
+    addOption.value = ImmersHUD.ADD_ACCOUNT
+    addOption.textContent = 'Add account...'
+    picker.append(addOption)
+  }
+
+  // prompt with open, pre-filled login
+  #promptLogin () {
+    if (this.#sessionExpired) {
+      this.#el('login-error').textContent = 'Your session has expired, please login again'
+      this.#el('login-error').classList.remove('removed')
+    }
+    this.setAttribute('open', true)
+  }
+
   #el (id) {
     return this.#queryCache[id] ?? (this.#queryCache[id] = this.#container.querySelector(`#${id}`))
   }
@@ -182,6 +276,10 @@ export class ImmersHUD extends window.HTMLElement {
     return ['position', 'open']
   }
 
+  static get ADD_ACCOUNT () {
+    return '__immers-hud-add-account'
+  }
+
   static get POSITION_OPTIONS () {
     return ['top-left', 'bottom-left', 'top-right', 'bottom-right']
   }
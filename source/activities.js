@@ -28,7 +28,10 @@
  * @property {String} audience who can view this object (generally Activities.PublicAddress)
  */
 
-import { getURLPart } from './utils'
+import { getURLPart } from './utils.js'
+import { ImmersHTTPError, ImmersSessionExpiredError } from './errors.js'
+import { transport } from './transport.js'
+import { ObjectCache } from './objectCache.js'
 
 /** Low-level API client-to-server ActivityPub methods */
 export class Activities {
@@ -37,23 +40,50 @@ export class Activities {
   static NodeInfoV21 = 'http://nodeinfo.diaspora.software/ns/schema/2.1'
   static NodeInfoV20 = 'http://nodeinfo.diaspora.software/ns/schema/2.0'
 
+  static CollectionItemLimit = 1000
+  /** Upload file extensions by MIME type, for files without a name */
+  static MediaExtensions = {
+    'model/gltf-binary': 'glb',
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov'
+  }
+
+  /** Assumed MIME types by object type for files without one */
+  static DefaultMediaTypes = {
+    Model: 'model/gltf-binary',
+    Image: 'image/png',
+    Video: 'video/mp4'
+  }
+
   #token
+  #inboxPages
+  #outboxPages
   /**
    * @param  {APActor} actor The user's actor object
    * @param  {string} homeImmer Protocol and domain of user's home Immers server
    * @param  {APObject} place Place-type object representing this Immersive Web experience
    * @param  {string} [token] OAuth2 token for user's home Immers server
    * @param  {string} [localImmer] Origin of local Immers server, e.g. https://immers.space
+   * @param  {object} [options]
+   * @param  {function(ImmersSessionExpiredError): void} [options.onSessionExpired] Called when a request is rejected because the token is no longer valid
+   * @param  {OutboxQueue} [options.outbox] Queue posted activities to retry after network failures
+   * @param  {ObjectCache} [options.cache] Cache for fetched objects. Defaults to a new in-memory cache
    */
-  constructor (actor, homeImmer, place, token, localImmer) {
+  constructor (actor, homeImmer, place, token, localImmer, options) {
     this.actor = actor
+    this.onSessionExpired = options?.onSessionExpired
+    this.outbox = options?.outbox
+    this.cache = options?.cache ?? new ObjectCache()
     this.homeImmer = homeImmer
     this.place = place
     this.#token = token
     this.localImmer = localImmer ? getURLPart(localImmer, 'origin') : undefined
     // this.authorizedScopes = null
-    this.nextInboxPage = null
-    this.nextOutboxPage = null
     this.inboxStartDate = new Date()
     this.outboxStartDate = this.inboxStartDate
     // this.friends = []
@@ -64,34 +94,62 @@ export class Activities {
   }
 
   // lower-level utilities
-  async getObject (IRI) {
-    let result
-    const headers = { Accept: Activities.JSONLDMime }
-    if (this.#token) {
-      headers.Authorization = `Bearer ${this.#token}`
-    }
-    if (this.trustedIRI(IRI)) {
-      result = await window.fetch(IRI, { headers })
-    } else if (this.actor.endpoints?.proxyUrl) {
-      result = await window.fetch(this.actor.endpoints.proxyUrl, {
-        method: 'POST',
-        body: new URLSearchParams({ id: IRI }),
-        headers
-      })
-    } else {
-      throw new Error('Home immer does not support object fetch proxy')
-    }
-    if (!result.ok) {
-      throw new Error(`Object fetch error ${result.message}`)
-    }
-    return result.json()
+  /**
+   * Fetch an ActivityPub object, via the home immer's proxy if it is from another server.
+   * Objects are cached and revalidated once older than the cache ttl; concurrent requests for the same IRI are combined
+   * @param  {IRI} IRI
+   * @param  {object} [options]
+   * @param  {number} [options.maxAge] Override the cache ttl, e.g. 0 to always revalidate
+   * @param  {boolean} [options.checkSession=true] Treat a rejected token as session expiry. Disable for
+   * optional objects the token may not be allowed to view
+   * @returns {Promise<APObject>}
+   * @throws {ImmersHTTPError} Unsuccessful response, with status & body
+   * @throws {ImmersNetworkError} Network failure or timeout
+   */
+  getObject (IRI, { maxAge, checkSession = true } = {}) {
+    return this.cache.fetch(IRI, async conditionalHeaders => {
+      let result
+      const headers = { ...conditionalHeaders, Accept: Activities.JSONLDMime }
+      if (this.#token) {
+        headers.Authorization = `Bearer ${this.#token}`
+      }
+      if (this.trustedIRI(IRI)) {
+        result = await transport.fetch(IRI, { headers })
+      } else if (this.actor.endpoints?.proxyUrl) {
+        result = await transport.fetch(this.actor.endpoints.proxyUrl, {
+          method: 'POST',
+          body: new URLSearchParams({ id: IRI }),
+          headers
+        })
+      } else {
+        throw new Error('Home immer does not support object fetch proxy')
+      }
+      if (checkSession) {
+        this.#checkSession(result, IRI)
+      }
+      return result
+    }, { maxAge })
+  }
+
+  /**
+   * Post an activity to the user's outbox, via the outbox queue if one is configured
+   * @param  {APActivity} activity
+   * @returns {Promise<(string|undefined)>} IRI of the created activity; undefined if queued for retry
+   */
+  postActivity (activity) {
+    return this.outbox ? this.outbox.post(activity) : this.sendActivity(activity)
   }
 
-  async postActivity (activity) {
+  /**
+   * Post an activity to the user's outbox immediately, bypassing any outbox queue
+   * @param  {APActivity} activity
+   * @returns {Promise<string>} IRI of the created activity
+   */
+  async sendActivity (activity) {
     if (!this.trustedIRI(this.actor.outbox)) {
       throw new Error('Invalid outbox address')
     }
-    const result = await window.fetch(this.actor.outbox, {
+    const result = await transport.fetch(this.actor.outbox, {
       method: 'POST',
       headers: {
         'Content-Type': Activities.JSONLDMime,
@@ -99,96 +157,200 @@ export class Activities {
       },
       body: JSON.stringify(activity)
     })
+    this.#checkSession(result, this.actor.outbox, 'POST')
     if (!result.ok) {
-      throw new Error(`Error creating avatar: ${result.status} ${result.body}`)
+      throw await ImmersHTTPError.fromResponse(result, { method: 'POST', iri: this.actor.outbox })
     }
     return result.headers.get('Location')
   }
 
   /**
-   * Post an activity with media upload
-   * @param  {APActivity} activity
-   * @param  {Blob} file
-   * @param  {Blob} icon
+   * Post an object or activity with media upload. The server sets the object's url and icon
+   * to the uploaded file locations. Uploads are not subject to the transport timeout,
+   * as large files on slow connections can take much longer
+   * @param  {(APObject|APActivity)} activity
+   * @param  {Blob} file - Media file. Uses the name of a File, otherwise is named by the object type and MIME type
+   * @param  {Blob} [icon] - Preview image
+   * @param  {object} [options]
+   * @param  {function(UploadProgress): void} [options.onProgress] - Follow the progress of the upload
+   * @returns {Promise<string>} IRI of the created activity
    */
-  async postMedia (activity, file, icon) {
-    if (!this.trustedIRI(this.actor.endpoints.uploadMedia)) {
+  async postMedia (activity, file, icon, { onProgress } = {}) {
+    if (!this.trustedIRI(this.actor.endpoints?.uploadMedia)) {
       throw new Error('Missing/invalid upload media endpoint')
     }
+    const object = activity.object ?? activity
     const formData = new globalThis.FormData()
-    formData.append('file', file, 'NiceFreeTreasure.glb')
-    formData.append('icon', icon, 'NiceFreeTreasure.png')
+    formData.append('file', file, mediaFilename(file, object.type ?? 'media', Activities.DefaultMediaTypes[object.type]))
+    if (icon) {
+      formData.append('icon', icon, mediaFilename(icon, 'icon', 'image/png'))
+    }
     formData.append('object', JSON.stringify(activity))
-    const result = await window.fetch(this.actor.endpoints.uploadMedia, {
+    const result = await transport.fetch(this.actor.endpoints.uploadMedia, {
       method: 'POST',
       headers: {
         Authorization: `Bearer ${this.#token}`
       },
-      body: formData
+      body: formData,
+      timeout: 0,
+      onUploadProgress: onProgress
     })
+    this.#checkSession(result, this.actor.endpoints.uploadMedia, 'POST')
     if (!result.ok) {
-      throw new Error(`Error creating avatar: ${result.status} ${await result.text()}`)
+      throw await ImmersHTTPError.fromResponse(result, { method: 'POST', iri: this.actor.endpoints.uploadMedia })
     }
     return result.headers.get('Location')
   }
 
+  /**
+   * Recognize responses rejecting the user's token
+   * @param  {Response} result
+   * @param  {string} iri
+   * @param  {string} [method='GET']
+   */
+  #checkSession (result, iri, method = 'GET') {
+    if (this.#token && ImmersSessionExpiredError.isExpiredStatus(result.status)) {
+      const err = new ImmersSessionExpiredError(result.status, { statusText: result.statusText, iri, method })
+      this.onSessionExpired?.(err)
+      throw err
+    }
+  }
+
   // collection fetchers
-  async inbox () {
-    let col
-    if (this.nextInboxPage === null) {
-      col = await this.getObject(this.actor.inbox)
-      if (!col.orderedItems && col.first) {
-        col = await this.getObject(col.first)
+  /**
+   * Iterate over the pages of a collection, fetching each as needed. Pages may be embedded
+   * in the collection or linked by IRI. Collections with items directly on them yield a single page.
+   * @param  {(IRI|APObject)} collection - Collection, OrderedCollection, or collection page, or an IRI for one
+   * @param  {object} [options]
+   * @param  {number} [options.pageLimit] - Stop after this many pages
+   * @yields {APObject} Collection pages
+   */
+  async * iterateCollectionPages (collection, { pageLimit = Infinity } = {}) {
+    let page = typeof collection === 'string' ? await this.getObject(collection) : collection
+    if (!(page.orderedItems ?? page.items)?.length && page.first) {
+      page = await this.#resolvePage(page.first)
+    }
+    const visited = new Set()
+    let pageCount = 0
+    while (page) {
+      yield page
+      pageCount++
+      const next = typeof page.next === 'string' ? page.next : page.next?.id
+      // guard against looping page links
+      if (pageCount >= pageLimit || !page.next || visited.has(next)) {
+        return
+      }
+      if (next) {
+        visited.add(next)
+      }
+      page = await this.#resolvePage(page.next)
+      if (!(page.orderedItems ?? page.items)?.length) {
+        return
       }
-    } else if (this.nextInboxPage) {
-      col = await this.getObject(this.nextInboxPage)
     }
-    this.nextInboxPage = col?.next
-    return col
   }
 
-  async outbox () {
-    let col
-    if (this.nextOutboxPage === null) {
-      col = await this.getObject(this.actor.outbox)
-      if (!col.orderedItems && col.first) {
-        col = await this.getObject(col.first)
+  /**
+   * Iterate over all items in a collection, fetching further pages as needed.
+   * Items are yielded as they appear in the collection, either objects or IRIs.
+   * @example
+   * for await (const activity of activities.iterateCollection(activities.actor.outbox, { since: lastVisit })) {
+   *   console.log(activity.type)
+   * }
+   * @param  {(IRI|APObject)} collection - Collection, OrderedCollection, or collection page, or an IRI for one
+   * @param  {object} [options]
+   * @param  {number} [options.pageLimit] - Stop after this many pages
+   * @param  {(Date|string)} [options.since] - For reverse-chronological collections such as inbox & outbox,
+   * stop at the first item published before this time
+   * @yields {(APObject|IRI)} Collection items
+   */
+  async * iterateCollection (collection, { pageLimit, since } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : undefined
+    for await (const page of this.iterateCollectionPages(collection, { pageLimit })) {
+      for (const item of page.orderedItems ?? page.items ?? []) {
+        if (sinceTime && item.published && new Date(item.published).getTime() < sinceTime) {
+          return
+        }
+        yield item
+      }
+    }
+  }
+
+  /**
+   * Fetch all items in a collection, up to a safety limit
+   * @param  {(IRI|APObject)} collection - Collection, OrderedCollection, or collection page, or an IRI for one
+   * @param  {object} [options] - Same as {@link iterateCollection} options, plus:
+   * @param  {number} [options.maxItems=Activities.CollectionItemLimit] - Stop after this many items
+   * @returns {Promise<Array<(APObject|IRI)>>}
+   */
+  async collectAll (collection, { maxItems = Activities.CollectionItemLimit, ...options } = {}) {
+    const items = []
+    if (maxItems <= 0) {
+      return items
+    }
+    for await (const item of this.iterateCollection(collection, options)) {
+      items.push(item)
+      if (items.length >= maxItems) {
+        console.warn(`Collection exceeds ${maxItems} items, remaining items not fetched`)
+        break
       }
-    } else if (this.nextOutboxPage) {
-      col = await this.getObject(this.nextOutboxPage)
     }
-    this.nextOutboxPage = col?.next
-    return col
+    return items
+  }
+
+  /**
+   * Fetch the next page of the user's inbox; the first call gets the most recent page
+   * @returns {Promise<(APObject|undefined)>} Collection page, or undefined if there are no more
+   */
+  async inbox () {
+    this.#inboxPages ??= this.iterateCollectionPages(this.actor.inbox)
+    return (await this.#inboxPages.next()).value
+  }
+
+  /**
+   * Fetch the next page of the user's outbox; the first call gets the most recent page
+   * @returns {Promise<(APObject|undefined)>} Collection page, or undefined if there are no more
+   */
+  async outbox () {
+    this.#outboxPages ??= this.iterateCollectionPages(this.actor.outbox)
+    return (await this.#outboxPages.next()).value
   }
 
   async blockList () {
-    const blocked = []
     // use blocklist IRI if specified, fallback to immers default
     const blockedIRI = this.actor.streams?.blocked || `${this.homeImmer}/blocked/${this.actor.preferredUsername}`
-    let col
+    let blocked
     try {
-      col = await this.getObject(blockedIRI)
+      // best effort, the token may not be allowed to view it
+      blocked = await this.collectAll(await this.getObject(blockedIRI, { checkSession: false }))
     } catch (err) {
       console.warn('Unable to fetch blocklist: ', err.message)
-      return blocked
-    }
-    if (col.orderedItems?.length) {
-      blocked.push(...col.orderedItems)
-    } else {
-      col = await this.getObject(col.first)
-      blocked.push(...col.orderedItems)
-    }
-    // fetch entire collection
-    while (col.next) {
-      col = await this.getObject(col.next)
-      if (!col.orderedItems?.length) {
-        break
-      }
-      blocked.push(...col.orderedItems)
+      return []
     }
     return blocked.map(b => (typeof b === 'object' ? b.id : b))
   }
 
+  /**
+   * Fetch the user's avatar collection
+   * @returns {Promise<APActivity[]>} Activities for avatars the user has created or added
+   */
+  async avatars () {
+    const avatarsIRI = this.actor.streams?.avatars || `${this.homeImmer}/collection/${this.actor.preferredUsername}/avatars`
+    const items = await this.collectAll(avatarsIRI)
+    return Promise.all(items.map(item => typeof item === 'string' ? this.getObject(item) : item))
+  }
+
+  async #resolvePage (pageOrIRI) {
+    // linked pages are fetched, but an embedded page may also be only a reference
+    if (typeof pageOrIRI === 'string') {
+      return this.getObject(pageOrIRI)
+    }
+    if (pageOrIRI.orderedItems || pageOrIRI.items || !pageOrIRI.id) {
+      return pageOrIRI
+    }
+    return this.getObject(pageOrIRI.id)
+  }
+
   // activity-specific posting methods
   accept (follow) {
     return this.postActivity({
@@ -211,9 +373,63 @@ export class Activities {
       type: 'Add',
       actor: this.actor.id,
       object: typeof activity === 'string' ? activity : activity.id,
-      target: target.startsWith('https://')
-        ? target
-        : `https://${this.homeImmer}/collection/${this.actor.preferredUsername}/${target}`
+      target: this.#collectionIRI(target)
+    })
+  }
+
+  /**
+   * Remove something from a user collection, the reverse of {@link add}
+   * @param  {(IRI|APObject)} activity - id or object of the activity to be removed
+   * @param  {(IRI|string)} target - Collection identifier from actor.streams, or collection name to be converted into an identifier
+   */
+  remove (activity, target) {
+    return this.postActivity({
+      type: 'Remove',
+      actor: this.actor.id,
+      object: typeof activity === 'string' ? activity : activity.id,
+      target: this.#collectionIRI(target)
+    })
+  }
+
+  #collectionIRI (target) {
+    return /^https?:\/\//.test(target)
+      ? target
+      : `https://${this.homeImmer}/collection/${this.actor.preferredUsername}/${target}`
+  }
+
+  /**
+   * Share (boost) an object with the user's friends or the public
+   * @param  {IRI} objectId
+   * @param  {IRI[]} to Addressees, e.g. the object's author
+   * @param  {string} audience 'direct', 'friends', or 'public'
+   */
+  announce (objectId, to, audience) {
+    const activity = {
+      type: 'Announce',
+      actor: this.actor.id,
+      object: objectId,
+      to: to.slice()
+    }
+    if (audience === 'friends' || audience === 'public') {
+      activity.to.push(this.actor.followers)
+    }
+    if (audience === 'public') {
+      activity.to.push(Activities.PublicAddress)
+    }
+    return this.postActivity(activity)
+  }
+
+  /**
+   * Remove a share
+   * @param  {IRI} announceId Id of the Announce activity
+   * @param  {IRI[]} to Addressees of the original Announce
+   */
+  unannounce (announceId, to) {
+    return this.postActivity({
+      type: 'Undo',
+      actor: this.actor.id,
+      object: announceId,
+      to
     })
   }
 
@@ -245,6 +461,18 @@ export class Activities {
     })
   }
 
+  /**
+   * Remove a user from the blocklist
+   * @param  {IRI} blockId Id of the Block activity
+   */
+  unblock (blockId) {
+    return this.postActivity({
+      type: 'Undo',
+      actor: this.actor.id,
+      object: blockId
+    })
+  }
+
   /**
    * Post a create activity for an object
    * @param  {APObject} object New object to be wrapped in Create activity
@@ -263,6 +491,20 @@ export class Activities {
     })
   }
 
+  /**
+   * Delete one of the user's objects. The server replaces it with a Tombstone
+   * @param  {(IRI|APObject)} objectOrId - Object to delete, or its id
+   * @param  {IRI[]} [to] - Addressees to notify, defaults to the object's addressees if given
+   */
+  delete (objectOrId, to = objectOrId.to) {
+    return this.postActivity({
+      type: 'Delete',
+      actor: this.actor.id,
+      object: typeof objectOrId === 'string' ? objectOrId : objectOrId.id,
+      to
+    })
+  }
+
   follow (targetId) {
     return this.postActivity({
       type: 'Follow',
@@ -273,19 +515,38 @@ export class Activities {
     })
   }
 
-  friends () {
+  /**
+   * Fetch the user's friends collection with all pages combined into orderedItems
+   * @returns {Promise<APObject>}
+   */
+  async friends () {
     const friendsEndpoint = this.actor.endpoints?.friends ?? `${this.actor.id}/friends`
-    return this.getObject(friendsEndpoint)
+    const col = await this.getObject(friendsEndpoint)
+    return { ...col, orderedItems: await this.collectAll(col) }
   }
 
-  image (url, to, audience, summary) {
+  /**
+   * Post an image
+   * @param  {(string|Blob)} urlOrFile - Url of hosted media, or a file to upload
+   * @param  {IRI[]} to - Addressees
+   * @param  {string} audience - 'direct', 'friends', or 'public'
+   * @param  {string} [summary] - Caption
+   * @param  {object} [options] - Upload options, see {@link postMedia}
+   * @param  {Blob} [options.icon] - Preview image
+   * @param  {function(UploadProgress): void} [options.onProgress]
+   */
+  image (urlOrFile, to, audience, summary, { icon, onProgress } = {}) {
     const obj = {
-      url,
       type: 'Image',
       attributedTo: this.actor.id,
       context: this.place,
       to: to.slice()
     }
+    if (typeof urlOrFile === 'string') {
+      obj.url = urlOrFile
+    } else if (urlOrFile.type) {
+      obj.mediaType = urlOrFile.type
+    }
     if (summary) {
       obj.summary = summary
     }
@@ -295,10 +556,56 @@ export class Activities {
     if (audience === 'public') {
       obj.to.push(Activities.PublicAddress)
     }
-    return this.postActivity(obj)
+    return typeof urlOrFile === 'string'
+      ? this.postActivity(obj)
+      : this.postMedia(obj, urlOrFile, icon, { onProgress })
   }
 
-  note (content, to, audience, summary) {
+  /**
+   * React to an object
+   * @param  {IRI} objectId
+   * @param  {IRI[]} to Addressees, e.g. the object's author
+   * @param  {string} [emoji] Reaction emoji, sent as the activity content
+   */
+  like (objectId, to, emoji) {
+    const activity = {
+      type: 'Like',
+      actor: this.actor.id,
+      object: objectId,
+      to
+    }
+    if (emoji) {
+      activity.content = emoji
+    }
+    return this.postActivity(activity)
+  }
+
+  /**
+   * Remove a reaction
+   * @param  {IRI} likeId Id of the Like activity
+   * @param  {IRI[]} to Addressees of the original Like
+   */
+  unlike (likeId, to) {
+    return this.postActivity({
+      type: 'Undo',
+      actor: this.actor.id,
+      object: likeId,
+      to
+    })
+  }
+
+  /**
+   * Post a text message
+   * @param  {string} content HTML content
+   * @param  {IRI[]} to Addressees
+   * @param  {string} audience 'direct', 'friends', or 'public'
+   * @param  {string} [summary]
+   * @param  {object} [options]
+   * @param  {IRI} [options.inReplyTo] Object being replied to
+   * @param  {IRI} [options.conversation] Identifier shared by all messages in the thread, usually the first message's object id
+   * @param  {APObject[]} [options.tag] Mention and Hashtag objects for links in the content
+   */
+  note (content, to, audience, summary, { inReplyTo, conversation, tag } = {}) {
     const obj = {
       content,
       type: 'Note',
@@ -309,6 +616,15 @@ export class Activities {
     if (summary) {
       obj.summary = summary
     }
+    if (inReplyTo) {
+      obj.inReplyTo = inReplyTo
+    }
+    if (conversation) {
+      obj.conversation = conversation
+    }
+    if (tag?.length) {
+      obj.tag = tag
+    }
     if (audience === 'friends' || audience === 'public') {
       obj.to.push(this.actor.followers)
     }
@@ -318,7 +634,17 @@ export class Activities {
     return this.postActivity(obj)
   }
 
-  model (name, glb, icon, to, audience) {
+  /**
+   * Upload and post a 3D model, e.g. for an avatar
+   * @param  {string} name
+   * @param  {Blob} glb - Model file, gltf binary
+   * @param  {Blob} icon - Preview image
+   * @param  {IRI[]} to - Addressees
+   * @param  {string} audience - 'direct', 'friends', or 'public'
+   * @param  {object} [options] - Upload options, see {@link postMedia}
+   * @param  {function(UploadProgress): void} [options.onProgress]
+   */
+  model (name, glb, icon, to, audience, { onProgress } = {}) {
     const obj = {
       name,
       type: 'Model',
@@ -332,7 +658,7 @@ export class Activities {
     if (audience === 'public') {
       obj.to.push(Activities.PublicAddress)
     }
-    return this.postMedia(obj, glb, icon)
+    return this.postMedia(obj, glb, icon, { onProgress })
   }
 
   reject (objectId, recipientId) {
@@ -364,14 +690,42 @@ export class Activities {
     return this.postActivity(activity)
   }
 
-  video (url, to, audience, summary) {
+  /**
+   * Change properties of one of the user's objects, e.g. the content of a Note
+   * @param  {APObject} update - id of the object to update and the properties to change
+   * @param  {IRI[]} [to] - Addressees to notify, defaults to update.to
+   */
+  updateObject (update, to = update.to) {
+    return this.postActivity({
+      type: 'Update',
+      actor: this.actor.id,
+      object: update,
+      to
+    })
+  }
+
+  /**
+   * Post a video
+   * @param  {(string|Blob)} urlOrFile - Url of hosted media, or a file to upload
+   * @param  {IRI[]} to - Addressees
+   * @param  {string} audience - 'direct', 'friends', or 'public'
+   * @param  {string} [summary] - Caption
+   * @param  {object} [options] - Upload options, see {@link postMedia}
+   * @param  {Blob} [options.icon] - Preview image
+   * @param  {function(UploadProgress): void} [options.onProgress]
+   */
+  video (urlOrFile, to, audience, summary, { icon, onProgress } = {}) {
     const obj = {
-      url,
       type: 'Video',
       attributedTo: this.actor.id,
       context: this.place,
       to: to.slice()
     }
+    if (typeof urlOrFile === 'string') {
+      obj.url = urlOrFile
+    } else if (urlOrFile.type) {
+      obj.mediaType = urlOrFile.type
+    }
     if (summary) {
       obj.summary = summary
     }
@@ -381,6 +735,17 @@ export class Activities {
     if (audience === 'public') {
       obj.to.push(Activities.PublicAddress)
     }
-    return this.postActivity(obj)
+    return typeof urlOrFile === 'string'
+      ? this.postActivity(obj)
+      : this.postMedia(obj, urlOrFile, icon, { onProgress })
+  }
+}
+
+function mediaFilename (file, basename, defaultType) {
+  if (file.name) {
+    return file.name
   }
+  const mediaType = file.type || defaultType
+  const extension = Activities.MediaExtensions[mediaType] ?? mediaType?.split('/')[1]?.replace(/\W.*$/, '')
+  return extension ? `${basename.toLowerCase()}.${extension}` : basename.toLowerCase()
 }
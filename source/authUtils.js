@@ -1,5 +1,9 @@
 import { Activities } from './activities.js'
 import { parseHandle } from './utils.js'
+import { clearPendingLogin, loadPendingLogin, savePendingLogin } from './store.js'
+import { authErrorFromResponse, ImmersAuthError, ImmersAuthCancelledError, ImmersAuthTimeoutError, ImmersHTTPError, ImmersSessionExpiredError } from './errors.js'
+import { transport } from './transport.js'
+import { environment } from './environment.js'
 
 /**
  * Enum of user account access roles than can be granted
@@ -43,29 +47,68 @@ export const roles = ['public', 'friends', 'modAdditive', 'modFull']
 
 /**
  * Retrieve OAuth access token and authorization details from URL after
- * redirect and pass it back to the opening window if in a pop-up
+ * redirect and pass it back to the opening window if in a pop-up.
+ * Also handles authorization code responses (PKCE flow), which are passed
+ * back to the opening window to be exchanged for a token, and error responses.
+ * When completing a redirect-mode login, the results are saved for {@link ImmersClient}
+ * to finish the session, returning to the original page if it differs from this one.
+ * @returns {boolean} true if this page is only a token catcher (pop-up, silent re-auth frame, or redirect hop) and should not initialize
  */
 export function catchToken () {
   const hashParams = new URLSearchParams(window.location.hash.substring(1))
-  if (hashParams.has('access_token')) {
+  const searchParams = new URLSearchParams(window.location.search)
+  let result
+  if (hashParams.has('access_token') || hashParams.has('error')) {
     // not safe to update store here, will be saved later in initialize()
-    const token = hashParams.get('access_token')
-    const homeImmer = hashParams.get('issuer')
-    const authorizedScopes = hashParams.get('scope')?.split(' ') || []
+    result = hashParams.has('error')
+      ? errorResult(hashParams)
+      : {
+          token: hashParams.get('access_token'),
+          homeImmer: hashParams.get('issuer'),
+          authorizedScopes: hashParams.get('scope')?.split(' ') || []
+        }
+    result.state = hashParams.get('state')
     window.location.hash = ''
-    // If this is an oauth popup, pass the results back up and close
-    // todo check origin
-    if (window.opener) {
-      window.opener.postMessage({
-        type: 'ImmersAuth',
-        token,
-        homeImmer,
-        authorizedScopes
-      })
+  } else if ((searchParams.has('code') || searchParams.has('error')) && searchParams.has('state')) {
+    result = searchParams.has('error')
+      ? errorResult(searchParams)
+      : {
+          code: searchParams.get('code'),
+          homeImmer: searchParams.get('issuer') ?? searchParams.get('iss')
+        }
+    result.state = searchParams.get('state')
+    // remove single-use code from the address bar & history
+    const cleanURL = new URL(window.location.href)
+    ;['code', 'state', 'issuer', 'iss', 'error', 'error_description']
+      .forEach(param => cleanURL.searchParams.delete(param))
+    window.history.replaceState(window.history.state, '', cleanURL)
+  }
+  if (!result) {
+    return false
+  }
+  // If this is the return from a redirect login, save the results for the client.
+  // Checked first as a tab doing a redirect login may still have an unrelated opener
+  const pending = loadPendingLogin()
+  if (pending && result.state === pending.state) {
+    savePendingLogin({ ...pending, result })
+    if (pending.returnTo && !isSamePage(pending.returnTo, window.location.href)) {
+      window.location.replace(pending.returnTo)
       return true
     }
+    return false
+  }
+  // If this is an oauth popup, pass the results back up and close.
+  // Only deliver to an opener on this origin; it verifies the state nonce
+  if (window.opener) {
+    window.opener.postMessage({ type: 'ImmersAuth', ...result }, window.location.origin)
+    return true
+  }
+  // If this is a silent re-authorization in a hidden iframe, pass the results to the parent
+  if (window.parent !== window) {
+    window.parent.postMessage({ type: 'ImmersAuth', ...result }, window.location.origin)
+    return true
   }
-  // TODO handle #error=access_denied
+  return false
 }
 /**
  * @typedef {Object} AuthResult
@@ -74,99 +117,342 @@ export function catchToken () {
  * @property {string} homeImmer User's home Immers Server origin
  * @property {Array<string>} authorizedScopes Scopes granted by user (may differ from requested scopes)
  */
+/**
+ * @typedef {Object} OAuthOptions
+ * @property {boolean} [pkce=false] Use the authorization code flow with PKCE instead of the implicit token flow.
+ * The access token is then retrieved by the opening window and never appears in the popup URL.
+ * @property {function(): Promise<AuthResult>} [onPopupBlocked] Popup-mode only. Called instead of alerting the user
+ * if the popup window is blocked, and its result is returned instead (e.g. to fallback to a redirect)
+ * @property {number} [timeout=600000] Popup-mode only. Milliseconds to wait for authorization before failing with {@link ImmersAuthTimeoutError}
+ * @property {object} [pendingState] Redirect-mode only. Extra data saved during the redirect and returned by {@link completeRedirectLogin}
+ */
+/**
+ * @typedef {Object} OAuthEndpoints
+ * @property {string} authorizationEndpoint URL of the OAuth authorization endpoint
+ * @property {string} [tokenEndpoint] URL of the OAuth token endpoint. If omitted, the issuer's default Immers Server endpoint is used
+ */
+/**
+ * Internal authorization request builder
+ * @returns {{params: URLSearchParams, codeVerifier: (string|undefined), state: string}}
+ */
+function prepareAuthRequest ({ clientId, redirectURI, preferredScope, handle, deepLink, pkce }) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: redirectURI,
+    response_type: pkce ? 'code' : 'token',
+    scope: preferredScope,
+    me: handle,
+    tab: deepLink
+  })
+  const state = randomString()
+  params.set('state', state)
+  return {
+    params,
+    codeVerifier: pkce ? randomString() : undefined,
+    state
+  }
+}
+
+/**
+ * Add PKCE challenge to an authorization request, if needed
+ */
+async function addPKCEChallenge ({ params, codeVerifier }) {
+  if (codeVerifier) {
+    params.set('code_challenge', await pkceChallenge(codeVerifier))
+    params.set('code_challenge_method', 'S256')
+  }
+}
+
+function authURLFor (authorizationEndpoint, { params }) {
+  const authURL = new URL(authorizationEndpoint)
+  authURL.search = params.toString()
+  return authURL
+}
+
 /**
  * Internal oauth popup handler
  * @returns {Promise<AuthResult>}
  */
-function oauthPopup (oauthPath, { clientId, redirectURI, preferredScope, handle, deepLink }) {
+function oauthPopup (endpoints, { clientId, redirectURI, preferredScope, handle, deepLink, pkce, expectedImmer, onPopupBlocked, timeout = 600000 }) {
   // center the popup
   const width = 785
   const height = 785
   const left = (window.innerWidth - width) / 2 + window.screenLeft
   const top = (window.innerHeight - height) / 2 + window.screenTop
   const features = `toolbar=no, menubar=no, width=${width}, height=${height}, top=${top}, left=${left}`
-  const authURL = new URL(oauthPath)
-  const authURLParams = new URLSearchParams({
-    client_id: clientId,
-    redirect_uri: redirectURI,
-    response_type: 'token',
-    scope: preferredScope,
-    me: handle,
-    tab: deepLink
-  })
-  authURL.search = authURLParams.toString()
-  const popup = window.open(authURL, 'immersLoginPopup', features)
+  const request = prepareAuthRequest({ clientId, redirectURI, preferredScope, handle, deepLink, pkce })
+  const { codeVerifier, state } = request
+  // responses are only accepted from the token catcher page
+  const expectedOrigin = new URL(redirectURI, window.location.href).origin
+  // the popup must be opened synchronously within the user input event,
+  // so it is navigated to the authorize URL later if endpoint discovery or PKCE challenge are pending
+  const deferred = pkce || endpoints instanceof Promise
+  const popup = window.open(deferred ? '' : authURLFor(endpoints.authorizationEndpoint, request), 'immersLoginPopup', features)
   if (!popup) {
+    if (onPopupBlocked) {
+      return onPopupBlocked()
+    }
     window.alert('Could not open login window. Please check if popup was blocked and allow it')
-  } else {
-    document.body.classList.add('immers-authorizing')
+    return Promise.reject(new ImmersAuthCancelledError('Login window was blocked'))
+  }
+
+  return new Promise((resolve, reject) => {
+    let settled = false
+    let responded = false
+    const settle = (err, authResult) => {
+      if (settled) {
+        return
+      }
+      settled = true
+      window.clearTimeout(timer)
+      window.removeEventListener('message', handler)
+      // have to close the popup in this thread because, in chrome, having the popup close itself crashes the browser
+      popup.close()
+      document.body.classList.remove('immers-authorizing')
+      err ? reject(err) : resolve(authResult)
+    }
+    const handler = ({ data, origin }) => {
+      if (data?.type !== 'ImmersAuth' || origin !== expectedOrigin || data.state !== state) {
+        // not a response to this authorization request
+        return
+      }
+      responded = true
+      // stop listening & close popup right away, settle after fetching actor
+      window.removeEventListener('message', handler)
+      window.clearTimeout(timer)
+      popup.close()
+      document.body.classList.remove('immers-authorizing')
+      processAuthResponse(data, endpoints, { clientId, redirectURI, codeVerifier, expectedImmer })
+        .then(authResult => settle(null, authResult))
+        .catch(err => settle(err))
+    }
     const checkClosed = () => {
+      if (settled || responded) {
+        return
+      }
       if (popup.closed) {
-        document.body.classList.remove('immers-authorizing')
+        // a response may be posted just before closing, give it a moment to arrive
+        window.setTimeout(() => {
+          if (!responded) {
+            settle(new ImmersAuthCancelledError())
+          }
+        }, 500)
       } else {
         window.setTimeout(checkClosed, 100)
       }
     }
+    window.addEventListener('message', handler)
+    document.body.classList.add('immers-authorizing')
+    const timer = window.setTimeout(() => settle(new ImmersAuthTimeoutError()), timeout)
     checkClosed()
+    if (deferred) {
+      // e.g. discovery failure or no WebCrypto for PKCE on an insecure origin
+      Promise.all([endpoints, addPKCEChallenge(request)]).then(([{ authorizationEndpoint }]) => {
+        popup.location.href = authURLFor(authorizationEndpoint, request).toString()
+      }).catch(err => settle(err))
+    }
+  })
+}
+
+/**
+ * Complete authorization from a token catcher response, exchanging
+ * the authorization code if needed and fetching the user's actor
+ * @returns {Promise<AuthResult>}
+ */
+async function processAuthResponse (data, endpoints, { clientId, redirectURI, codeVerifier, expectedImmer }) {
+  if (data.error) {
+    throw authErrorFromResponse(data.error, data.errorDescription)
   }
+  const homeImmer = verifyIssuer(data.homeImmer, expectedImmer)
+  const { tokenEndpoint } = await endpoints
+  const { token, authorizedScopes } = data.code
+    ? await exchangeCode(data.code, homeImmer, { clientId, redirectURI, codeVerifier, tokenEndpoint })
+    : { token: data.token, authorizedScopes: preprocessScopes(data.authorizedScopes) }
+  const actor = await tokenToActor(token, homeImmer)
+  return { actor, token, homeImmer, authorizedScopes }
+}
 
+/**
+ * Internal silent re-authorization handler. Attempts authorization without
+ * user interaction (prompt=none) in a hidden iframe. Only succeeds if the user
+ * is still logged in to their immer and has already approved the requested access.
+ * @returns {Promise<AuthResult>}
+ */
+function oauthSilent (endpoints, { clientId, redirectURI, preferredScope, handle, pkce, expectedImmer, timeout = 10000 }) {
+  const request = prepareAuthRequest({ clientId, redirectURI, preferredScope, handle, pkce })
+  const { codeVerifier, state } = request
+  const expectedOrigin = new URL(redirectURI, window.location.href).origin
+  request.params.set('prompt', 'none')
+  const frame = document.createElement('iframe')
+  frame.style.display = 'none'
   return new Promise((resolve, reject) => {
-    const handler = ({ data }) => {
-      if (data?.type !== 'ImmersAuth') {
+    const cleanup = () => {
+      window.clearTimeout(timer)
+      window.removeEventListener('message', handler)
+      frame.remove()
+    }
+    const handler = ({ data, origin }) => {
+      if (data?.type !== 'ImmersAuth' || origin !== expectedOrigin || data.state !== state) {
         return
       }
-      if (!data.token) {
-        return reject(new Error('Not authorized'))
-      }
-      const { token, homeImmer } = data
-      const authorizedScopes = preprocessScopes(data.authorizedScopes)
-      window.removeEventListener('message', handler)
-      // have to close the popup in this thread because, in chrome, having the popup close itself crashes the browser
-      popup?.close()
-      tokenToActor(token, homeImmer).then(actor => {
-        resolve({ actor, token, homeImmer, authorizedScopes })
-      })
+      cleanup()
+      processAuthResponse(data, endpoints, { clientId, redirectURI, codeVerifier, expectedImmer }).then(resolve, reject)
     }
+    const timer = window.setTimeout(() => {
+      cleanup()
+      reject(new ImmersAuthTimeoutError('Silent re-authorization timed out'))
+    }, timeout)
     window.addEventListener('message', handler)
+    Promise.all([endpoints, addPKCEChallenge(request)]).then(([{ authorizationEndpoint }]) => {
+      frame.src = authURLFor(authorizationEndpoint, request).toString()
+      document.body.appendChild(frame)
+    }).catch(err => {
+      cleanup()
+      reject(err)
+    })
+  })
+}
+
+/**
+ * For a standalone destination without its own Immers Server, attempt to
+ * renew authorization from the user's home immer without user interaction,
+ * e.g. after a token expires. Fails if user approval would be required.
+ * @param  {string} handle User's Immers Handle (username[home.immer] or username@home.immer)
+ * @param  {string} preferredScope Level of access to request, usually the previously authorized scopes
+ * @param  {string} tokenCatcherURL Redirect URI for OAuth, a page on your origin that runs catchToken on load
+ * @param  {OAuthOptions} [options]
+ * @returns {Promise<AuthResult>}
+ */
+export function DestinationOAuthSilent (handle, preferredScope, tokenCatcherURL, options = {}) {
+  const { immer } = parseHandle(handle)
+  if (!immer) {
+    return Promise.reject(new Error('Invalid handle'))
+  }
+  return oauthSilent(discoverOAuthEndpoints(handle), {
+    redirectURI: tokenCatcherURL,
+    preferredScope,
+    handle,
+    pkce: options.pkce,
+    expectedImmer: immer,
+    timeout: options.timeout
+  })
+}
+
+/**
+ * For complete immers, attempt to renew authorization via the local immer
+ * without user interaction, e.g. after a token expires. Fails if user approval would be required.
+ * @param  {string} localImmer Origin of the local Immers Server
+ * @param  {string} localImmerId IRI of the local immer Place object
+ * @param  {string} preferredScope Level of access to request, usually the previously authorized scopes
+ * @param  {string} tokenCatcherURL Redirect URI for OAuth, a page on your origin that runs catchToken on load
+ * @param  {string} [handle] User's handle (username[home.immer])
+ * @param  {OAuthOptions} [options]
+ * @returns {Promise<AuthResult>}
+ */
+export function ImmerOAuthSilent (localImmer, localImmerId, preferredScope, tokenCatcherURL, handle, options = {}) {
+  return oauthSilent(immersEndpoints(localImmer), {
+    clientId: localImmerId,
+    redirectURI: tokenCatcherURL,
+    preferredScope,
+    handle,
+    pkce: options.pkce,
+    timeout: options.timeout
+  })
+}
+
+/**
+ * Internal oauth redirect handler. Saves pending login state and navigates
+ * the top window to the authorization page.
+ * @returns {Promise} never resolves, as the page is unloaded
+ */
+async function oauthRedirect (endpoints, { clientId, redirectURI, preferredScope, handle, deepLink, pkce, expectedImmer, pendingState }) {
+  const request = prepareAuthRequest({ clientId, redirectURI, preferredScope, handle, deepLink, pkce })
+  const [{ authorizationEndpoint, tokenEndpoint }] = await Promise.all([endpoints, addPKCEChallenge(request)])
+  savePendingLogin({
+    ...pendingState,
+    clientId,
+    redirectURI: redirectURI.toString(),
+    tokenEndpoint,
+    expectedImmer,
+    codeVerifier: request.codeVerifier,
+    state: request.state
   })
+  window.top.location.href = authURLFor(authorizationEndpoint, request).toString()
+  return new Promise(() => {})
+}
+
+/**
+ * @typedef {Object} RedirectLoginResult
+ * @property {AuthResult} authResult Authorization details
+ * @property {object} pendingState Extra data saved when the redirect login was started
+ */
+/**
+ * Finish a redirect-mode login after the authorization server returns to the page
+ * and {@link catchToken} has run. Pending state is removed once processed.
+ * @returns {Promise<RedirectLoginResult|undefined>} undefined if there is no completed redirect login
+ */
+export async function completeRedirectLogin () {
+  const pending = loadPendingLogin()
+  if (!pending?.result) {
+    return
+  }
+  clearPendingLogin()
+  const { result, clientId, redirectURI, tokenEndpoint, expectedImmer, codeVerifier, state, ...pendingState } = pending
+  return {
+    authResult: await processAuthResponse(result, { tokenEndpoint }, { clientId, redirectURI, codeVerifier, expectedImmer }),
+    pendingState
+  }
 }
 
 /**
  * For a standalone destination without its own Immers Server,
  * trigger OAuth flow to a user's home immer via popup window.
  * Must be invoked from a trusted user input event handler to allow the popup.
+ * The immer's OAuth endpoints are found with {@link discoverOAuthEndpoints}.
  * @param  {string} handle User's Immers Handle (username[home.immer] or username@home.immer)
  * @param  {string} preferredScope Level of access to request (remember the user can alter this before approving)
  * @param  {string} [tokenCatcherURL=window.location] Redirect URI for OAuth, a page on your origin that runs catchToken on load
+ * @param  {OAuthOptions} [options]
  * @returns {Promise<AuthResult>}
  */
-export async function DestinationOAuthPopup (handle, preferredScope, tokenCatcherURL = window.location) {
+export async function DestinationOAuthPopup (handle, preferredScope, tokenCatcherURL = window.location, options = {}) {
   const { immer } = parseHandle(handle)
   if (!immer) {
     throw new Error('Invalid handle')
   }
-  /**
-   * The proper flow here should be:
-   * 1. fetch webfinger, get profile IRI
-   * 2. fetch profile IRI, get profile object
-   * 3. use object.endpoints.oauthAuthorizationEndpoint to authorize
-   *
-   * Unfortunately, #2 will be blocked by CORS which requires an oauth token to open up,
-   * so we'll just use the hardcoded immers oauth endpoint for now
-
-  // find user profile to get OAuth endpoint
-  let profile
-  try {
-    const finger = await window.fetch(`https://${immer}/.well-known/webfinger?resource=acct:${username}@${immer}`)
-      .then(res => res.json())
-  } catch (err) {
-    throw new Error(`Unable to fetch profile: ${err.message}`)
+  return oauthPopup(discoverOAuthEndpoints(handle), {
+    redirectURI: tokenCatcherURL,
+    preferredScope,
+    handle,
+    pkce: options.pkce,
+    expectedImmer: immer,
+    onPopupBlocked: options.onPopupBlocked,
+    timeout: options.timeout
+  })
+}
+/**
+ * For a standalone destination without its own Immers Server,
+ * trigger OAuth flow to a user's home immer by navigating the whole page.
+ * For browsers where popups are unusable. The page at tokenCatcherURL must run {@link catchToken}
+ * and the session is completed by {@link completeRedirectLogin} when the user returns.
+ * @param  {string} handle User's Immers Handle (username[home.immer] or username@home.immer)
+ * @param  {string} preferredScope Level of access to request (remember the user can alter this before approving)
+ * @param  {string} [tokenCatcherURL=window.location] Redirect URI for OAuth, a page on your origin that runs catchToken on load
+ * @param  {OAuthOptions} [options]
+ * @returns {Promise} never resolves, as the page is unloaded
+ */
+export async function DestinationOAuthRedirect (handle, preferredScope, tokenCatcherURL = window.location, options = {}) {
+  const { immer } = parseHandle(handle)
+  if (!immer) {
+    throw new Error('Invalid handle')
   }
-  */
-  return oauthPopup(`https://${immer}/auth/authorize`, {
+  return oauthRedirect(discoverOAuthEndpoints(handle), {
     redirectURI: tokenCatcherURL,
     preferredScope,
-    handle
+    handle,
+    pkce: options.pkce,
+    expectedImmer: immer,
+    pendingState: options.pendingState
   })
 }
 /**
@@ -178,29 +464,189 @@ export async function DestinationOAuthPopup (handle, preferredScope, tokenCatche
  * @param  {string} tokenCatcherURL Redirect URI for OAuth, a page on your origin that runs catchToken on load
  * @param  {string} [handle] If known, you can provide the user's handle (username[home.immer]) to pre-fill login forms
  * @param {'Login'|'Register'|'Reset password'} [deepLink] Set the default tab to be shown on the login page
+ * @param  {OAuthOptions} [options]
  * @returns {Promise<AuthResult>}
  */
-export function ImmerOAuthPopup (localImmer, localImmerId, preferredScope, tokenCatcherURL, handle, deepLink) {
-  return oauthPopup(`https://${localImmer}/auth/authorize`, {
+export function ImmerOAuthPopup (localImmer, localImmerId, preferredScope, tokenCatcherURL, handle, deepLink, options = {}) {
+  return oauthPopup(immersEndpoints(localImmer), {
     clientId: localImmerId,
     redirectURI: tokenCatcherURL,
     preferredScope,
     handle,
-    deepLink
+    deepLink,
+    pkce: options.pkce,
+    onPopupBlocked: options.onPopupBlocked,
+    timeout: options.timeout
   })
 }
+/**
+ * For complete immers, trigger OAuth flow starting at local immer by navigating the whole page.
+ * For browsers where popups are unusable. The page at tokenCatcherURL must run {@link catchToken}
+ * and the session is completed by {@link completeRedirectLogin} when the user returns.
+ * @param  {string} localImmer Origin of the local Immers Server
+ * @param  {string} localImmerId IRI of the local immer Place object
+ * @param  {string} preferredScope Level of access to request (remember the user can alter this before approving)
+ * @param  {string} tokenCatcherURL Redirect URI for OAuth, a page on your origin that runs catchToken on load
+ * @param  {string} [handle] If known, you can provide the user's handle (username[home.immer]) to pre-fill login forms
+ * @param {'Login'|'Register'|'Reset password'} [deepLink] Set the default tab to be shown on the login page
+ * @param  {OAuthOptions} [options]
+ * @returns {Promise} never resolves, as the page is unloaded
+ */
+export function ImmerOAuthRedirect (localImmer, localImmerId, preferredScope, tokenCatcherURL, handle, deepLink, options = {}) {
+  return oauthRedirect(immersEndpoints(localImmer), {
+    clientId: localImmerId,
+    redirectURI: tokenCatcherURL,
+    preferredScope,
+    handle,
+    deepLink,
+    pkce: options.pkce,
+    pendingState: options.pendingState
+  })
+}
+
+const discoveredEndpoints = new Map()
 
-// TODO logout / upgrade scope
+/**
+ * Find the OAuth endpoints for a user's home immer. Follows the ActivityPub discovery chain
+ * (WebFinger, then the actor's endpoints.oauthAuthorizationEndpoint & oauthTokenEndpoint),
+ * falls back to endpoints hinted in the immer's nodeinfo metadata, and finally to the
+ * default Immers Server paths. Discovered endpoints are cached for the page session.
+ * @param  {string} handle User's Immers Handle (username[home.immer] or username@home.immer)
+ * @returns {Promise<OAuthEndpoints>}
+ */
+export function discoverOAuthEndpoints (handle) {
+  const { username, immer } = parseHandle(handle)
+  const key = `${username}@${immer}`
+  if (!discoveredEndpoints.has(key)) {
+    const discovery = discoverEndpoints(username, immer).then(endpoints => {
+      if (!endpoints) {
+        // don't cache the fallback in case discovery failed due to a network hiccup
+        discoveredEndpoints.delete(key)
+        return defaultEndpoints(immer)
+      }
+      return endpoints
+    })
+    discoveredEndpoints.set(key, discovery)
+  }
+  return discoveredEndpoints.get(key)
+}
+
+async function discoverEndpoints (username, immer) {
+  // the actor may not be available without authorization due to CORS,
+  // in which case we'll try nodeinfo
+  const actorEndpoints = await fetchDiscoveryJSON(
+    `https://${immer}/.well-known/webfinger?resource=acct:${username}@${immer}`,
+    'application/jrd+json, application/json'
+  )
+    .then(finger => {
+      const iri = finger.links?.find(l => l.rel === 'self' && l.type === Activities.JSONLDMime)?.href ??
+        finger.links?.find(l => l.rel === 'self')?.href
+      return iri && fetchDiscoveryJSON(iri, Activities.JSONLDMime)
+    })
+    .then(actor => actor?.endpoints)
+    .catch(() => undefined)
+  if (actorEndpoints?.oauthAuthorizationEndpoint) {
+    return {
+      authorizationEndpoint: actorEndpoints.oauthAuthorizationEndpoint,
+      tokenEndpoint: actorEndpoints.oauthTokenEndpoint ?? defaultEndpoints(immer).tokenEndpoint
+    }
+  }
+  const metadata = await fetchDiscoveryJSON(`https://${immer}/.well-known/nodeinfo`, 'application/json')
+    .then(resource => {
+      const url = (
+        resource.links?.find(l => l.rel === Activities.NodeInfoV21) ||
+        resource.links?.find(l => l.rel === Activities.NodeInfoV20)
+      )?.href
+      return url && fetchDiscoveryJSON(url, 'application/json')
+    })
+    .then(info => info?.metadata)
+    .catch(() => undefined)
+  if (metadata?.oauthAuthorizationEndpoint) {
+    return {
+      authorizationEndpoint: metadata.oauthAuthorizationEndpoint,
+      tokenEndpoint: metadata.oauthTokenEndpoint ?? defaultEndpoints(immer).tokenEndpoint
+    }
+  }
+}
+
+/**
+ * Standard Immers Server OAuth endpoints, used as a last resort
+ * @param  {string} immer Domain (host) of the immer
+ * @returns {OAuthEndpoints}
+ */
+function defaultEndpoints (immer) {
+  return {
+    authorizationEndpoint: `https://${immer}/auth/authorize`,
+    tokenEndpoint: `https://${immer}/auth/token`
+  }
+}
+
+/**
+ * OAuth endpoints for a local immer. The token endpoint is omitted
+ * because the code may be issued by the user's home immer after redirection
+ * @param  {string} localImmer Domain (host) of the local immer
+ * @returns {OAuthEndpoints}
+ */
+function immersEndpoints (localImmer) {
+  return { authorizationEndpoint: `https://${localImmer}/auth/authorize` }
+}
+
+async function fetchDiscoveryJSON (url, accept) {
+  // don't let an unresponsive server hold up login
+  const response = await transport.fetch(url, { headers: { Accept: accept }, timeout: 5000, retries: 0 })
+  if (!response.ok) {
+    throw await ImmersHTTPError.fromResponse(response)
+  }
+  return response.json()
+}
+
+/**
+ * Exchange an authorization code for an access token at the issuing immer's token endpoint
+ * @param  {string} code Authorization code from redirect
+ * @param  {string} homeImmer Origin of the immer that issued the code
+ * @param  {object} params
+ * @param  {string} [params.clientId] OAuth client id used in the authorization request
+ * @param  {string} params.redirectURI Redirect URI used in the authorization request
+ * @param  {string} params.codeVerifier PKCE code verifier for the authorization request
+ * @param  {string} [params.tokenEndpoint] Token endpoint URL, if known. Defaults to the Immers Server endpoint on homeImmer
+ * @returns {Promise<{token: string, authorizedScopes: string[]}>}
+ * @throws {ImmersAuthError} If there is no token endpoint and homeImmer is not a valid origin
+ */
+export async function exchangeCode (code, homeImmer, { clientId, redirectURI, codeVerifier, tokenEndpoint }) {
+  tokenEndpoint ??= `${verifyIssuer(homeImmer)}/auth/token`
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectURI.toString(),
+    code_verifier: codeVerifier
+  })
+  if (clientId) {
+    body.set('client_id', clientId)
+  }
+  const response = await transport.fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: { Accept: 'application/json' },
+    body
+  })
+  if (!response.ok) {
+    throw await ImmersHTTPError.fromResponse(response, { method: 'POST' })
+  }
+  const { access_token: token, scope } = await response.json()
+  return { token, authorizedScopes: preprocessScopes(scope ?? []) }
+}
 
 export async function tokenToActor (token, homeImmer) {
-  const response = await window.fetch(`${homeImmer}/auth/me`, {
+  const response = await transport.fetch(`${homeImmer}/auth/me`, {
     headers: {
       Accept: Activities.JSONLDMime,
       Authorization: `Bearer ${token}`
     }
   })
+  if (ImmersSessionExpiredError.isExpiredStatus(response.status)) {
+    throw new ImmersSessionExpiredError(response.status, { statusText: response.statusText, iri: response.url })
+  }
   if (!response.ok) {
-    throw new Error(`Error fetching actor ${response.status} ${response.statusText}`)
+    throw await ImmersHTTPError.fromResponse(response)
   }
   return response.json()
 }
@@ -211,3 +657,68 @@ export function preprocessScopes (authorizedScopes) {
   }
   return authorizedScopes[0] === '*' ? allScopes : authorizedScopes
 }
+
+/**
+ * Combine previously authorized scopes with newly granted ones
+ * @param  {(string|string[])} previousScopes
+ * @param  {(string|string[])} newScopes
+ * @returns {string[]}
+ */
+export function mergeScopes (previousScopes, newScopes) {
+  return Array.from(new Set([
+    ...preprocessScopes(previousScopes),
+    ...preprocessScopes(newScopes)
+  ]))
+}
+
+/**
+ * Check the issuer identified in an authorization response (RFC 9207), which is used as the user's home immer
+ * @param  {string} issuer
+ * @param  {string} [expectedImmer] Domain (host) of the immer that must have issued the response, if known
+ * @returns {string} Origin of the issuer
+ * @throws {ImmersAuthError}
+ */
+function verifyIssuer (issuer, expectedImmer) {
+  let url
+  try {
+    url = new URL(issuer)
+  } catch {}
+  if (!url || !['https:', 'http:'].includes(url.protocol) || url.href !== `${url.origin}/`) {
+    throw new ImmersAuthError('Authorization response did not identify a valid issuer')
+  }
+  if (expectedImmer && url.host !== new URL(`https://${expectedImmer}`).host) {
+    throw new ImmersAuthError(`Authorization response from unexpected issuer ${url.origin}`)
+  }
+  return url.origin
+}
+
+function errorResult (params) {
+  return {
+    error: params.get('error'),
+    errorDescription: params.get('error_description')
+  }
+}
+
+function isSamePage (a, b) {
+  const urlA = new URL(a)
+  const urlB = new URL(b)
+  urlA.hash = urlB.hash = ''
+  return urlA.href === urlB.href
+}
+
+// PKCE helpers (RFC 7636)
+function base64URLEncode (bytes) {
+  return globalThis.btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+function randomString () {
+  return base64URLEncode(environment.crypto.getRandomValues(new Uint8Array(32)))
+}
+
+async function pkceChallenge (codeVerifier) {
+  const digest = await environment.crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))
+  return base64URLEncode(digest)
+}
@@ -1,9 +1,19 @@
-import DOMPurify from 'dompurify'
 import { Activities } from './activities.js'
-import { ImmerOAuthPopup, DestinationOAuthPopup, tokenToActor, SCOPES, preprocessScopes } from './authUtils.js'
-import { desc, getURLPart, parseHandle } from './utils.js'
+import { ImmerOAuthPopup, DestinationOAuthPopup, ImmerOAuthRedirect, DestinationOAuthRedirect, ImmerOAuthSilent, DestinationOAuthSilent, completeRedirectLogin, tokenToActor, SCOPES, preprocessScopes, mergeScopes } from './authUtils.js'
+import { getURLPart, parseHandle } from './utils.js'
 import { ImmersSocket } from './streaming.js'
-import { clearStore, createStore } from './store.js'
+import { clearStore, createStore, encryptCredentials, flushStore, reloadStore, storeReady } from './store.js'
+import { TabSync } from './tabSync.js'
+import { MessageFeed } from './feed.js'
+import { OutboxQueue } from './outbox.js'
+import { indexedDBStorage, resolveStorage } from './storage.js'
+import { ObjectCache } from './objectCache.js'
+import { ReactionTally } from './reactions.js'
+import { linkTags, parseTags } from './tags.js'
+import { captureCanvas } from './screenshot.js'
+import { ImmersHTTPError, ImmersScopeError, ImmersSessionExpiredError } from './errors.js'
+import { transport } from './transport.js'
+import { environment } from './environment.js'
 
 /**
  * @typedef {object} Destination
@@ -22,6 +32,24 @@ import { clearStore, createStore } from './store.js'
  * @property {string} url - Webpage to view full profile
  * @property {object} collections - Map of user collections retrievable with getCollection. Always includes 'blocked' (user blocklist) and 'avatars'
  */
+/**
+ * @typedef {object} Avatar
+ * @property {string} id - Identifier of the avatar's entry in the collection (the source activity id)
+ * @property {string} name - Name/description
+ * @property {string} url - glTF model url
+ * @property {string} [icon] - Preview image url
+ * @property {string} [creator] - Profile id of the user who created the model
+ * @property {APActivity} activity - Source activity, e.g. the Create for the model. Use with {@link ImmersClient#addAvatar} to add to another collection
+ * @property {APObject} model - The Model object, use with {@link ImmersClient#useAvatar}
+ */
+/**
+ * @typedef {object} SavedAccount
+ * @property {string} handle - Account's Immers handle
+ * @property {string} homeImmer - Origin of the account's home immer
+ * @property {string[]} authorizedScopes - Scopes authorized for the saved credential
+ * @property {Profile} profile - Account profile as of the last login
+ * @property {boolean} active - Is this the current account
+ */
 /**
  * @typedef {object} FriendStatus
  * @property {Profile} profile - Profile object for friend
@@ -43,10 +71,25 @@ import { clearStore, createStore } from './store.js'
  * @property {string} type - Describes the message content: 'chat', 'media', 'status', or 'other'
  * @property {string} __unsafeMessageHTML - Unsanitized HTML message content.
  * You must sanitize this string before inserting into the DOM to avoid XSS attacks.
- * @property {string} messageHTML - Sanitized HTML message content. Safe to insert into DOM. Media wrapped in IMG/VIDEO will have class immers-message-media
+ * @property {string} messageHTML - Sanitized HTML message content. Safe to insert into DOM. Media wrapped in IMG/VIDEO will have class immers-message-media,
+ * followed by any caption in a P with class immers-message-caption
  * @property {string} [mediaType] - 'image' or 'video' if the message is a media object
  * @property {string} [mediaURL] - source url if the message is a media object
  * (messageHTML will contain appropriate tags to display the media, but mediaURL can be used if you need custom display)
+ * @property {string} objectId - URL of the message content object (e.g. the Note for a chat message), referenced by replyTo
+ * @property {string} [replyTo] - objectId of the message this replies to
+ * @property {string} [conversationId] - Identifier shared by messages in the same thread, for grouping.
+ * Unset for replies that only link the message they reply to, as is common from other ActivityPub software
+ * @property {string[]} recipients - Addressees (ActivityPub IRIs), may include the sender's followers collection and the public address
+ * @property {boolean} direct - Only addressed to specific users, not friends or the public
+ * @property {Object<string, number>} reactions - Number of likes by reaction emoji, as known when the message was loaded.
+ * Follow immers-client-reaction events for updates
+ * @property {number} shares - Number of users who shared the message, as known when the message was loaded
+ * @property {boolean} edited - Content has been changed since it was posted
+ * @property {boolean} deleted - Message has been removed. Only true in immers-client-message-update events, where messageHTML is empty
+ * @property {string[]} mentions - Profile ids of users mentioned in the message
+ * @property {string[]} tags - Hashtags in the message, without the #
+ * @property {boolean} mentionsMe - The current user is mentioned
  */
 
 /**
@@ -55,14 +98,58 @@ import { clearStore, createStore } from './store.js'
  * @property {Message} detail.message
  */
 
+/**
+ * @typedef {object} ImmersClientMessageUpdateEvent
+ * @property {object} detail
+ * @property {Message} detail.message - New version of the message, replaces any with the same objectId
+ */
+
+/**
+ * @typedef {object} ImmersClientUploadProgressEvent
+ * @property {object} detail
+ * @property {Blob} detail.file - The file being uploaded, to identify concurrent uploads
+ * @property {number} detail.loaded - Bytes sent
+ * @property {number} detail.total - Total bytes to send, including the preview image
+ */
+
+/**
+ * @typedef {object} ImmersClientAvatarsUpdateEvent
+ * @property {object} detail
+ * @property {('add'|'remove')} detail.action
+ * @property {string} detail.avatarId - Avatar.id of the added or removed avatar
+ * @property {Avatar} [detail.avatar] - The added avatar
+ */
+
+/**
+ * @typedef {object} ImmersClientReactionEvent
+ * @property {object} detail
+ * @property {Reaction} detail.reaction
+ * @property {Profile} detail.profile - Profile of the user who reacted
+ * @property {Object<string, number>} detail.reactions - Updated like counts for the object by emoji
+ * @property {number} detail.shares - Updated share count for the object
+ */
+
+// equivalent forms of the ActivityStreams public address
+const PUBLIC_ADDRESSES = [Activities.PublicAddress, 'https://www.w3.org/ns/activitystreams#Public', 'Public']
+// replies followed when looking for the start of a thread
+const MAX_THREAD_DEPTH = 20
+
 /**
  * High-level interface to Immers profile and social features
  * @fires immers-client-connected
  * @fires immers-client-disconnected
  * @fires immers-client-friends-update
  * @fires immers-client-new-message
+ * @fires immers-client-message-update
+ * @fires immers-client-reaction
+ * @fires immers-client-upload-progress
+ * @fires immers-client-avatars-update
+ * @fires immers-client-login-error
+ * @fires immers-client-scopes-changed
+ * @fires immers-client-session-expired
+ * @fires immers-client-outbox-status
  */
-export class ImmersClient extends window.EventTarget {
+export class ImmersClient extends globalThis.EventTarget {
   /**
    * Activities instance for access to low-level ActivityPub API
    * @type {Activities}
@@ -87,40 +174,137 @@ export class ImmersClient extends window.EventTarget {
    * @public
    */
   connected = false
+  /**
+   * Resolves after page load once any redirect-mode login has been processed.
+   * Value is true if a session was established from a redirect login.
+   * @type {Promise<boolean>}
+   * @public
+   */
+  redirectLoginComplete
+  /**
+   * Resolves once saved data (e.g. handle, credential, saved accounts) has been loaded from storage
+   * @type {Promise}
+   * @public
+   */
+  ready
+  /**
+   * Queue of activities waiting to be sent, if options.queueActivities is enabled
+   * @type {(OutboxQueue|undefined)}
+   * @public
+   */
+  outbox
   #store
+  #storage
+  #online = false
+  #tokenCatcherURL
+  #sessionRenewal
+  #tabSync
+  #objectCache
+  // ids of actors blocked by the current user
+  #blocked = new Set()
+  #blocklistLoaded = Promise.resolve()
+  #reactions = new ReactionTally()
+  #feed = new MessageFeed(() => this.activities, activity => {
+    // paging is newest first, so reactions are tallied before the messages they refer to
+    if (!this.#isBlocked(activity.actor) && this.#reactions.add(activity)) {
+      return
+    }
+    const message = this.#messageFromActivity(activity)
+    // the server applies edits and deletions to the original message
+    return message && !ImmersClient.#isMessageChange(activity, message) ? message : undefined
+  })
+
   /**
 
    * @param  {(Destination|APPlace|string)} destinationDescription Metadata about this destination used when sharing or url for the related Place object. Either a Destination/APPlace object or a url where one can be fetched.
    * @param  {object} [options]
    * @param  {string} [options.localImmer] Domain (host) of the local Immers Server, if there is one
    * @param  {boolean} [options.allowStorage] Enable localStorage of handle & token for reconnection (make sure you've provided complaince notices as needed)
+   * @param  {('memory'|'session'|'local'|'indexeddb'|StorageAdapter)} [options.storage] Where to save handle, token, and cached data.
+   * Defaults to 'local' if allowStorage is set, otherwise 'memory'. Data is kept separate for each localImmer
+   * @param  {boolean} [options.encryptCredentials] Encrypt saved access tokens with a non-extractable key kept in IndexedDB
+   * so they can't be read directly from storage. The key is deleted on logout
+   * @param  {boolean} [options.syncTabs=true] When using storage shared between tabs ('local', 'indexeddb', or custom),
+   * apply logins, logouts, scope changes, and friends list updates from other tabs of the same origin
+   * @param  {boolean} [options.queueActivities] Queue messages and location updates that fail to send due to network issues
+   * and retry them when back online. The queue is saved in storage so it also survives page reloads. See {@link outbox}
+   * @param  {object} [options.objectCache] Settings for caching fetched ActivityPub objects such as profiles
+   * @param  {number} [options.objectCache.ttl] Milliseconds before cached objects are revalidated, defaults to 5 minutes
+   * @param  {boolean} [options.objectCache.persist] Keep the cache in IndexedDB across page loads
+   * @param  {boolean} [options.silentReauth] When the session expires, attempt to renew it without user interaction before disconnecting.
+   * Only succeeds if the user is still logged in to their immer, and requires a token catcher URL
+   * @param  {string} [options.tokenCatcherURL] Default token catcher URL for re-authorization when one hasn't been used to login during this page visit
    */
   constructor (destinationDescription, options) {
     super()
     this.localImmer = options?.localImmer ? getURLPart(options.localImmer, 'host') : undefined
     this.allowStorage = options?.allowStorage
+    this.silentReauth = options?.silentReauth
+    this.#tokenCatcherURL = options?.tokenCatcherURL
     this.enterBound = () => this.enter()
-    this.#store = createStore(this.allowStorage)
-    try {
-      const hashParams = new URLSearchParams(window.location.hash.substring(1))
-      if (hashParams.has('me')) {
-        this.#store.handle = hashParams.get('me')
-        // restore original hash
-        hashParams.delete('me')
-        window.location.hash = hashParams.toString().replace(/=$/, '')
+    const storage = options?.storage ?? (this.allowStorage ? 'local' : 'memory')
+    this.#storage = resolveStorage(storage)
+    if (options?.encryptCredentials && storage !== 'memory') {
+      this.#storage = encryptCredentials(this.#storage)
+    }
+    this.#store = createStore(this.#storage, this.localImmer)
+    if (options?.syncTabs !== false && storage !== 'memory' && storage !== 'session') {
+      this.#tabSync = new TabSync(this.localImmer)
+      this.#tabSync.addEventListener('immers-tab-sync-message', ({ detail }) => this.#applyTabSync(detail))
+    }
+    this.ready = storeReady(this.#store)
+    this.#objectCache = new ObjectCache({
+      ttl: options?.objectCache?.ttl,
+      storage: options?.objectCache?.persist ? indexedDBStorage('immers-client-cache', 'objects') : undefined
+    })
+    if (options?.queueActivities) {
+      this.outbox = new OutboxQueue(
+        activity => this.activities.sendActivity(activity),
+        () => {
+          this.#store.outbox ??= []
+          return this.#store.outbox
+        }
+      )
+      this.outbox.addEventListener('immers-outbox-status', ({ detail }) => {
+        /**
+         * A queued activity is pending, paused until the user logs back in, has been sent, or has failed. See {@link outbox}
+         * @event immers-client-outbox-status
+         * @type {object}
+         * @property {OutboxEntry} detail
+         */
+        this.dispatchEvent(new environment.CustomEvent('immers-client-outbox-status', { detail }))
+      })
+    }
+    // handle passed in URL hash, only available on web pages
+    const location = environment.location
+    if (location?.hash) {
+      try {
+        const hashParams = new URLSearchParams(location.hash.substring(1))
+        if (hashParams.has('me')) {
+          this.#store.handle = hashParams.get('me')
+          // restore original hash
+          hashParams.delete('me')
+          location.hash = hashParams.toString().replace(/=$/, '')
+        }
+      } catch (err) {
+        console.warn(`Unable to parse handle from URL hash: ${err.message}`)
       }
-    } catch (err) {
-      console.warn(`Unable to parse handle from URL hash: ${err.message}`)
     }
     if (this.localImmer) {
       // some functionality enabled prior to login when local immer present
-      this.activities = new Activities({}, this.localImmer, this.place, null, this.localImmer)
+      this.activities = new Activities({}, this.localImmer, this.place, null, this.localImmer, {
+        cache: this.#objectCache
+      })
     }
-    this.#setPlaceFromDestination(destinationDescription).then(() => {
+    this.redirectLoginComplete = Promise.all([
+      this.#setPlaceFromDestination(destinationDescription),
+      this.ready
+    ]).then(() => {
       if (!this.place.id) {
         // fake AP IRI for destinations without their own immer
         this.place.id = this.place.url
       }
+      return this.#completeRedirectLogin()
     })
   }
 
@@ -130,19 +314,54 @@ export class ImmersClient extends window.EventTarget {
    * Can be the same page as long as loading it again in a pop-up won't cause a the main session to disconnect.
    * @param  {string} requestedRole Access level to request, see {@link roles} for details
    * @param  {string} [handle] User's immers handle. Optional if you have a local Immers Server
+   * @param  {object} [options]
+   * @param  {boolean} [options.pkce] Use the OAuth authorization code flow with PKCE instead of the implicit token flow
+   * @param  {('popup'|'redirect'|'auto')} [options.mode='popup'] Open authorization in a pop-up window,
+   * navigate the whole page to it and complete the session on return (for browsers where pop-ups are unusable),
+   * or try a pop-up and fallback to redirect if it is blocked. In redirect mode, the returned promise never resolves;
+   * await {@link redirectLoginComplete} or listen for immers-client-connected after the page reloads instead
+   * @param  {boolean} [options.enter=false] Redirect-mode only, call {@link enter} once the session is completed
+   * @param  {number} [options.timeout] Popup-mode only, milliseconds to wait for authorization
    * @returns {string} token OAuth2 acess token
+   * @throws {ImmersAuthDeniedError} User declined authorization
+   * @throws {ImmersAuthCancelledError} User closed the login window or it was blocked
+   * @throws {ImmersAuthTimeoutError} Authorization not completed in time
    */
-  async login (tokenCatcherURL, requestedRole, handle) {
-    let authResult
-    if (this.localImmer) {
-      authResult = await ImmerOAuthPopup(this.localImmer, this.place.id, requestedRole, tokenCatcherURL, handle)
-    } else {
-      authResult = await DestinationOAuthPopup(handle, requestedRole, tokenCatcherURL)
+  async login (tokenCatcherURL, requestedRole, handle, options = {}) {
+    const authResult = await this.#authorize(tokenCatcherURL, requestedRole, handle, options, {
+      enter: !!options.enter
+    })
+    return this.#loginWithAuthResult(authResult, savedLoginOptions(tokenCatcherURL, options))
+  }
+
+  /**
+   * Request additional access from a logged-in user, e.g. to share location
+   * or upload avatars after logging in with the 'public' role. Reruns authorization
+   * for the requested scopes, so it must be called from a user input event handler
+   * to allow the pop-up. Newly granted scopes are merged with existing ones.
+   * @param  {(string|string[])} roleOrScopes Role from {@link roles} or list of scopes from {@link SCOPES}
+   * @param  {string} [tokenCatcherURL] Page on your domain that runs {@link catchToken} on load. Defaults to the one used to login
+   * @param  {object} [options] Same as {@link login} options
+   * @returns {Promise<string[]>} All scopes now authorized
+   * @throws {ImmersAuthError} If authorization fails, see {@link login}
+   */
+  async requestScopes (roleOrScopes, tokenCatcherURL, options = {}) {
+    if (!this.connected) {
+      throw new Error('Immers login required to request additional scopes')
     }
-    const { actor, token, homeImmer, authorizedScopes } = authResult
-    this.#store.credential = { token, homeImmer, authorizedScopes }
-    this.#setupAfterLogin(actor, homeImmer, token, authorizedScopes)
-    return token
+    tokenCatcherURL ??= this.#tokenCatcherURL ?? environment.location?.href
+    const requestedScope = Array.isArray(roleOrScopes) ? roleOrScopes.join(' ') : roleOrScopes
+    const previousScopes = this.authorizedScopes
+    const authResult = await this.#authorize(tokenCatcherURL, requestedScope, this.profile.handle, options, {
+      previousScopes
+    })
+    const { actor, token, homeImmer } = authResult
+    const authorizedScopes = mergeScopes(previousScopes, authResult.authorizedScopes)
+    this.#store.credential = { token, homeImmer, authorizedScopes, loginOptions: savedLoginOptions(tokenCatcherURL, options) }
+    this.#replaceConnections(actor, homeImmer, token, authorizedScopes)
+    this.#publishScopesChanged(previousScopes)
+    this.#syncTabs('session')
+    return authorizedScopes
   }
 
   /**
@@ -157,7 +376,12 @@ export class ImmersClient extends window.EventTarget {
     homeImmer = getURLPart(homeImmer, 'origin')
     authorizedScopes = preprocessScopes(authorizedScopes)
     this.#store.credential = { token, homeImmer, authorizedScopes }
-    return this.restoreSession()
+    return this.restoreSession().then(connected => {
+      if (connected) {
+        this.#syncTabs('session')
+      }
+      return connected
+    })
   }
 
   /**
@@ -165,6 +389,7 @@ export class ImmersClient extends window.EventTarget {
    * @returns {Promise<boolean>} Was reconnection successful
    */
   async restoreSession () {
+    await this.ready
     try {
       const { token, homeImmer, authorizedScopes } = this.#store.credential
       const actor = await tokenToActor(token, homeImmer)
@@ -172,7 +397,11 @@ export class ImmersClient extends window.EventTarget {
         this.#setupAfterLogin(actor, homeImmer, token, authorizedScopes)
         return true
       }
-    } catch {}
+    } catch (err) {
+      if (err instanceof ImmersSessionExpiredError) {
+        return this.#handleSessionExpired()
+      }
+    }
     return false
   }
 
@@ -189,8 +418,8 @@ export class ImmersClient extends window.EventTarget {
     if (!this.connected) {
       throw new Error('Immers login required to udpate location')
     }
-    if (!this.#store.credential.authorizedScopes.includes(SCOPES.postLocation)) {
-      console.info('Not sharing location because not authorized')
+    if (this.missingScopes(SCOPES.postLocation).length) {
+      console.info(`Not sharing location because not authorized. Missing scope: ${SCOPES.postLocation}`)
       return
     }
     const actor = this.activities.actor
@@ -200,6 +429,7 @@ export class ImmersClient extends window.EventTarget {
     }
     // also update on future (re)connections
     this.streaming.addEventListener('immers-socket-connect', this.enterBound)
+    this.#online = true
   }
 
   /**
@@ -210,8 +440,8 @@ export class ImmersClient extends window.EventTarget {
     if (!this.connected) {
       throw new Error('Immers login required to update location')
     }
-    if (!this.#store.credential.authorizedScopes.includes(SCOPES.postLocation)) {
-      console.info('Not sharing location because not authorized')
+    if (this.missingScopes(SCOPES.postLocation).length) {
+      console.info(`Not sharing location because not authorized. Missing scope: ${SCOPES.postLocation}`)
       return
     }
     await this.exit()
@@ -225,36 +455,119 @@ export class ImmersClient extends window.EventTarget {
     if (!this.connected) {
       throw new Error('Immers login required to update location')
     }
-    if (!this.#store.credential.authorizedScopes.includes(SCOPES.postLocation)) {
-      console.info('Not sharing location because not authorized')
+    if (this.missingScopes(SCOPES.postLocation).length) {
+      console.info(`Not sharing location because not authorized. Missing scope: ${SCOPES.postLocation}`)
       return
     }
     await this.activities.leave()
     this.streaming.clearLeaveOnDisconnect()
     this.streaming.removeEventListener('immers-socket-connect', this.enterBound)
+    this.#online = false
   }
 
   /**
    * Disconnect from User's immer, retaining credentials to reconnect
    */
   disconnect () {
-    this.streaming.disconnect()
+    // queued activities wait for the next login
+    this.outbox?.pause()
+    this.streaming?.disconnect()
     this.streaming = undefined
     this.activities = undefined
     this.connected = false
+    this.#online = false
     /**
      * Fired when disconnected from immers server or logged out
      * @event immers-client-disconnected
      */
-    this.dispatchEvent(new window.CustomEvent('immers-client-disconnected'))
+    this.dispatchEvent(new environment.CustomEvent('immers-client-disconnected'))
   }
 
   /**
-   * Disconnect from User's immer and delete any traces of user identity
+   * Disconnect from User's immer and delete any traces of user identity.
+   * Other saved accounts remain available for {@link switchAccount}
    */
   logout () {
-    clearStore(this.#store)
+    const handle = this.handle
+    this.outbox?.clear()
+    this.#removeSavedAccount(handle)
+    if (this.listAccounts().length) {
+      this.#store.credential = undefined
+      this.#store.handle = undefined
+    } else {
+      clearStore(this.#store)
+    }
+    // any remaining saved accounts are re-encrypted with a new key
+    this.#storage.wipeKey?.()
     this.disconnect()
+    this.#syncTabs('logout', handle)
+  }
+
+  /**
+   * List accounts that have logged in with this client and can be switched to
+   * without re-authorizing. Accounts are only saved across page loads with options.allowStorage
+   * @returns {SavedAccount[]}
+   */
+  listAccounts () {
+    return Object.entries(this.#store.accounts ?? {})
+      .map(([handle, { credential, profile }]) => ({
+        handle,
+        homeImmer: credential.homeImmer,
+        authorizedScopes: credential.authorizedScopes,
+        profile,
+        active: handle === this.handle
+      }))
+  }
+
+  /**
+   * Change the connected user to another saved account.
+   * Fires immers-client-disconnected for the current account (if connected)
+   * followed by immers-client-connected for the new one. If the user was online
+   * at this immer, they will also be online with the new account.
+   * @param  {string} handle Immers handle of a saved account, see {@link listAccounts}
+   * @returns {Promise<boolean>} true if the new account is connected
+   */
+  async switchAccount (handle) {
+    const account = this.#store.accounts?.[handle]
+    if (!account) {
+      throw new Error(`No saved account for ${handle}`)
+    }
+    const wasOnline = this.#online
+    if (this.connected) {
+      this.disconnect()
+    }
+    this.#store.credential = account.credential
+    this.#store.handle = handle
+    const connected = await this.restoreSession()
+    if (connected) {
+      this.#syncTabs('session')
+    }
+    if (connected && wasOnline) {
+      await this.enter()
+    }
+    return connected
+  }
+
+  /**
+   * Remove a saved account. If it is the current account, the client is also disconnected
+   * @param  {string} handle Immers handle of a saved account, see {@link listAccounts}
+   */
+  forgetAccount (handle) {
+    if (handle === this.handle) {
+      return this.logout()
+    }
+    this.#removeSavedAccount(handle)
+  }
+
+  #rememberAccount () {
+    this.#store.accounts ??= {}
+    this.#store.accounts[this.profile.handle] = { credential: this.#store.credential, profile: this.profile }
+  }
+
+  #removeSavedAccount (handle) {
+    if (this.#store.accounts) {
+      delete this.#store.accounts[handle]
+    }
   }
 
   /**
@@ -279,12 +592,150 @@ export class ImmersClient extends window.EventTarget {
     }
   }
 
+  #authorize (tokenCatcherURL, requestedRole, handle, options, pendingState) {
+    this.#tokenCatcherURL = tokenCatcherURL
+    const mode = options.mode ?? 'popup'
+    const redirectOptions = {
+      pkce: options.pkce,
+      pendingState: {
+        requestedRole,
+        handle,
+        loginOptions: savedLoginOptions(tokenCatcherURL, options),
+        returnTo: environment.location?.href,
+        destination: this.place,
+        ...pendingState
+      }
+    }
+    const redirect = () => this.localImmer
+      ? ImmerOAuthRedirect(this.localImmer, this.place.id, requestedRole, tokenCatcherURL, handle, undefined, redirectOptions)
+      : DestinationOAuthRedirect(handle, requestedRole, tokenCatcherURL, redirectOptions)
+    if (mode === 'redirect') {
+      return redirect()
+    }
+    const popupOptions = {
+      pkce: options.pkce,
+      timeout: options.timeout,
+      onPopupBlocked: mode === 'auto' ? redirect : undefined
+    }
+    if (this.localImmer) {
+      return ImmerOAuthPopup(this.localImmer, this.place.id, requestedRole, tokenCatcherURL, handle, undefined, popupOptions)
+    }
+    return DestinationOAuthPopup(handle, requestedRole, tokenCatcherURL, popupOptions)
+  }
+
+  #loginWithAuthResult ({ actor, token, homeImmer, authorizedScopes }, loginOptions) {
+    this.#store.credential = { token, homeImmer, authorizedScopes, loginOptions }
+    this.#setupAfterLogin(actor, homeImmer, token, authorizedScopes)
+    this.#syncTabs('session')
+    return token
+  }
+
+  async #completeRedirectLogin () {
+    let redirectLogin
+    try {
+      redirectLogin = await completeRedirectLogin()
+    } catch (error) {
+      console.warn(`Unable to complete redirect login: ${error.message}`)
+      /**
+       * A redirect-mode login could not be completed after returning to the page,
+       * e.g. because the user denied access
+       * @event immers-client-login-error
+       * @type {object}
+       * @property {ImmersAuthError} detail.error
+       */
+      this.dispatchEvent(new environment.CustomEvent('immers-client-login-error', { detail: { error } }))
+      return false
+    }
+    if (!redirectLogin) {
+      return false
+    }
+    const { authResult, pendingState } = redirectLogin
+    if (pendingState.previousScopes) {
+      // returning from requestScopes
+      authResult.authorizedScopes = mergeScopes(pendingState.previousScopes, authResult.authorizedScopes)
+    }
+    this.#loginWithAuthResult(authResult, pendingState.loginOptions)
+    if (pendingState.previousScopes) {
+      this.#publishScopesChanged(pendingState.previousScopes)
+    }
+    if (pendingState.enter) {
+      await this.enter(pendingState.destination)
+    }
+    return true
+  }
+
   #setupAfterLogin (actor, homeImmer, token, authorizedScopes) {
+    this.#feed.reset()
+    this.#reactions.clear()
     this.connected = true
     this.profile = ImmersClient.ProfileFromActor(actor)
     this.#store.handle = this.profile.handle
-    this.activities = new Activities(actor, homeImmer, this.place, token, this.localImmer)
+    this.#connect(actor, homeImmer, token, authorizedScopes)
+    /**
+     * User has connected to the immers server
+     * @event immers-client-connected
+     * @type {object}
+     * @property {Profile} detail.profile the connected user's profile
+     */
+    this.dispatchEvent(new environment.CustomEvent('immers-client-connected', { detail: { profile: this.profile } }))
+  }
+
+  // replace connections authorized with an old token, preserving online status
+  #replaceConnections (actor, homeImmer, token, authorizedScopes) {
+    const wasOnline = this.#online
+    this.streaming.disconnect()
+    this.#connect(actor, homeImmer, token, authorizedScopes)
+    if (wasOnline) {
+      this.streaming.addEventListener('immers-socket-connect', this.enterBound)
+    }
+  }
+
+  #connect (actor, homeImmer, token, authorizedScopes) {
+    this.#rememberAccount()
+    this.activities = new Activities(actor, homeImmer, this.place, token, this.localImmer, {
+      onSessionExpired: () => this.#handleSessionExpired(),
+      outbox: this.outbox,
+      cache: this.#objectCache
+    })
+    // cached reads wait for this, and it doesn't reject
+    this.#objectCache.setOwner(actor.id)
     this.streaming = new ImmersSocket(homeImmer, token)
+    // cached copies of updated or deleted objects are stale
+    const invalidateCache = ({ detail: activity }) => {
+      const objectId = activity.object?.id ?? activity.object
+      if ((activity.type === 'Update' || activity.type === 'Delete') && typeof objectId === 'string') {
+        this.#objectCache.invalidate(objectId)
+          .catch(err => console.warn(`Unable to invalidate cached object: ${err.message}`))
+      }
+    }
+    this.streaming.addEventListener('immers-socket-inbox-update', invalidateCache)
+    this.streaming.addEventListener('immers-socket-outbox-update', invalidateCache)
+    const blocked = this.#blocked = new Set()
+    this.#blocklistLoaded = this.activities.blockList()
+      .then(ids => ids.forEach(id => blocked.add(id)))
+    // blocks made in other sessions
+    this.streaming.addEventListener('immers-socket-outbox-update', ({ detail: activity }) => {
+      if (activity.type === 'Block') {
+        this.#updateBlocked(activity.object?.id ?? activity.object, true)
+      } else if (activity.type === 'Undo' && activity.object?.type === 'Block') {
+        this.#updateBlocked(activity.object.object?.id ?? activity.object.object, false)
+      }
+    })
+    this.streaming.addEventListener('immers-socket-outbox-update', ({ detail: activity }) => this.#publishAvatarsUpdate(activity))
+    // edits and deletions by the user in any session. Others' are handled with incoming messages
+    this.streaming.addEventListener('immers-socket-outbox-update', ({ detail: activity }) => this.#publishMessageChange(activity))
+    // reactions from others and the user's own from any session
+    this.streaming.addEventListener('immers-socket-inbox-update', ({ detail: activity }) => this.#publishReaction(activity))
+    this.streaming.addEventListener('immers-socket-outbox-update', ({ detail: activity }) => this.#publishReaction(activity))
+    if (this.outbox) {
+      // activities queued by another account can't be sent with this token. Bare objects like Notes have no actor
+      this.outbox.entries
+        .filter(entry => (entry.activity.actor ?? entry.activity.attributedTo) !== actor.id)
+        .forEach(entry => this.outbox.discard(entry.localId))
+      // send any paused while disconnected or when the previous session expired
+      this.outbox.resume()
+      this.streaming.addEventListener('immers-socket-connect', () => this.outbox.flush())
+    }
 
     if (authorizedScopes.includes('viewFriends')) {
       this.#publishFriendsUpdate()
@@ -299,13 +750,6 @@ export class ImmersClient extends window.EventTarget {
         event => this.#publishIncomingMessage(event.detail)
       )
     }
-    /**
-     * User has connected to the immers server
-     * @event immers-client-connected
-     * @type {object}
-     * @property {Profile} detail.profile the connected user's profile
-     */
-    this.dispatchEvent(new window.CustomEvent('immers-client-connected', { detail: { profile: this.profile } }))
   }
 
   /**
@@ -313,7 +757,7 @@ export class ImmersClient extends window.EventTarget {
    * @returns {Promise<FriendStatus[]>}
    */
   async friendsList () {
-    const friendsCol = await this.activities.friends()
+    const [friendsCol] = await Promise.all([this.activities.friends(), this.#blocklistLoaded])
     this.#store.friends = friendsCol.orderedItems
       .map(ImmersClient.FriendStatusFromActivity)
     return friendsCol.orderedItems
@@ -321,21 +765,54 @@ export class ImmersClient extends window.EventTarget {
       .filter(activity => activity.type !== 'Reject')
       // map it again to avoid shared, mutable objects
       .map(ImmersClient.FriendStatusFromActivity)
+      .filter(status => !this.#isBlocked(status.profile))
       .sort(ImmersClient.FriendsSorter)
   }
 
+  /**
+   * Fetch the next page of older activity Messages from the user's inbox and outbox, newest first.
+   * Messages already received as immers-client-new-message events are skipped.
+   * @example
+   * let { messages, cursor } = await immersClient.feedPage()
+   * // infinite scroll
+   * while (cursor && userScrolledToBottom()) {
+   *   ({ messages, cursor } = await immersClient.feedPage({ cursor }))
+   * }
+   * @param  {object} [options]
+   * @param  {string} [options.cursor] Resume from a cursor returned by a previous call (continues from the last call if omitted)
+   * @param  {number} [options.limit=20] Maximum number of messages
+   * @returns {Promise<{messages: Message[], cursor: (string|undefined)}>} cursor is undefined when there are no older messages
+   */
+  async feedPage ({ cursor, limit } = {}) {
+    await this.#blocklistLoaded
+    return this.#feed.older({ cursor, limit })
+  }
+
+  /**
+   * Fetch activity Messages published since a given time that haven't already been
+   * returned by {@link feedPage} or received as immers-client-new-message events
+   * @param  {(Date|string)} [since] Defaults to the newest message returned by {@link feedPage} or feedNewer
+   * @returns {Promise<Message[]>} Newest first
+   */
+  async feedNewer (since) {
+    await this.#blocklistLoaded
+    return this.#feed.newer({ since })
+  }
+
+  /**
+   * Restart {@link feedPage} from the most recent messages
+   */
+  resetFeed () {
+    this.#feed.reset()
+  }
+
   /**
    * Fetch a page of recent activity Messages
    * @returns {Promise<Message[]>}
+   * @deprecated Use {@link feedPage} for resettable, cursor-based paging
    */
   async feed () {
-    const inboxCol = await this.activities.inbox()
-    const outboxCol = await this.activities.outbox()
-    return inboxCol.orderedItems
-      .concat(outboxCol.orderedItems)
-      .map(ImmersClient.MessageFromActivity)
-      .filter(msg => !!msg) // posts not convertable to Message
-      .sort(desc('timestamp'))
+    return (await this.feedPage()).messages
   }
 
   /**
@@ -347,10 +824,315 @@ export class ImmersClient extends window.EventTarget {
    * @param {string} content - The text/HTML content. Will be sanitized before sending
    * @param {string} privacy - 'direct', 'friends', or 'public'
    * @param {string[]} [to] - Addressees. Accepts Immers handles (username[domain.name]) and ActivityPub IRIs
+   * @param {object} [options]
+   * @param {Message} [options.inReplyTo] - Continue a thread by replying to this message. Its sender is added to the addressees
    * @returns {Promise<string>} Url of newly posted message
    */
-  sendChatMessage (content, privacy, to = []) {
-    return this.activities.note(DOMPurify.sanitize(content), to, privacy)
+  async sendChatMessage (content, privacy, to = [], { inReplyTo } = {}) {
+    const { html, tag, mentioned } = await this.#tagContent(environment.sanitizeHTML(content))
+    const addressees = this.#withRecipients(to, [inReplyTo?.sender.id, ...mentioned])
+    return this.activities.note(html, addressees, privacy, undefined, { ...ImmersClient.#threadFor(inReplyTo), tag })
+  }
+
+  /**
+   * Send a private message only to one user
+   * @param {string} handle - Recipient's immers handle or profile id
+   * @param {string} content - The text/HTML content. Will be sanitized before sending
+   * @param {object} [options]
+   * @param {Message} [options.inReplyTo] - Continue a thread by replying to this message
+   * @returns {Promise<string>} Url of newly posted message
+   */
+  async sendDirectMessage (handle, content, { inReplyTo } = {}) {
+    const userId = await this.#resolveUserId(handle)
+    // mentions are linked but not addressed, keeping the message private
+    const { html, tag } = await this.#tagContent(environment.sanitizeHTML(content))
+    return this.activities.note(html, [userId], 'direct', undefined, { ...ImmersClient.#threadFor(inReplyTo), tag })
+  }
+
+  /**
+   * Upload and share an image, e.g. a screenshot.
+   * Progress is reported with immers-client-upload-progress events
+   * @param {Blob} file - Image file
+   * @param {string} privacy - 'direct', 'friends', or 'public'
+   * @param {string} [caption] - Text description. Will be sanitized before sending
+   * @param {object} [options]
+   * @param {string[]} [options.to] - Addressees, ActivityPub IRIs
+   * @param {Blob} [options.icon] - Preview image
+   * @returns {Promise<string>} Url of newly posted message
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
+   */
+  async sendImage (file, privacy, caption, { to = [], icon } = {}) {
+    this.#requireScopes(SCOPES.creative)
+    return this.activities.image(file, to, privacy, caption && environment.sanitizeHTML(caption), {
+      icon,
+      onProgress: progress => this.#publishUploadProgress(file, progress)
+    })
+  }
+
+  /**
+   * Upload and share a video, e.g. a recorded clip.
+   * Progress is reported with immers-client-upload-progress events
+   * @param {Blob} file - Video file
+   * @param {string} privacy - 'direct', 'friends', or 'public'
+   * @param {string} [caption] - Text description. Will be sanitized before sending
+   * @param {object} [options]
+   * @param {string[]} [options.to] - Addressees, ActivityPub IRIs
+   * @param {Blob} [options.icon] - Preview image, e.g. the first frame
+   * @returns {Promise<string>} Url of newly posted message
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
+   */
+  async sendVideo (file, privacy, caption, { to = [], icon } = {}) {
+    this.#requireScopes(SCOPES.creative)
+    return this.activities.video(file, to, privacy, caption && environment.sanitizeHTML(caption), {
+      icon,
+      onProgress: progress => this.#publishUploadProgress(file, progress)
+    })
+  }
+
+  /**
+   * Capture a canvas, e.g. a WebXR scene, and share it as an image linked to this destination.
+   * Progress is reported with immers-client-upload-progress events
+   * @example
+   * immersClient.shareScreenshot(renderer.domElement, {
+   *   caption: 'Look at this!',
+   *   render: () => renderer.render(scene, camera)
+   * })
+   * @param {(HTMLCanvasElement|OffscreenCanvas)} canvas
+   * @param {object} [options] - Capture options (see {@link CaptureOptions}), plus:
+   * @param {string} [options.caption] - Text description. Will be sanitized before sending
+   * @param {string} [options.privacy='friends'] - 'direct', 'friends', or 'public'
+   * @param {string[]} [options.to] - Addressees, ActivityPub IRIs
+   * @returns {Promise<string>} Url of newly posted message
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
+   */
+  async shareScreenshot (canvas, { caption, privacy = 'friends', to = [], ...captureOptions } = {}) {
+    this.#requireScopes(SCOPES.creative)
+    const image = await captureCanvas(canvas, captureOptions)
+    return this.sendImage(image, privacy, caption, { to })
+  }
+
+  /**
+   * Fetch messages in a thread from the user's inbox and outbox, oldest first.
+   * Replies without a conversationId are included if they reply to a message in the thread.
+   * Each collection is read from newest until the start of the thread, or until a limit is reached
+   * @param  {(Message|string)} messageOrId - Any message in the thread, or its id or objectId
+   * @param  {object} [options]
+   * @param  {number} [options.maxItems=Activities.CollectionItemLimit] - Stop reading each collection after this many activities
+   * @param  {(Date|string)} [options.since] - Stop at activities published before this time
+   * @returns {Promise<Message[]>}
+   */
+  async getConversation (messageOrId, { maxItems = Activities.CollectionItemLimit, since } = {}) {
+    let conversationId
+    if (typeof messageOrId === 'string') {
+      const content = contentOf(await this.activities.getObject(messageOrId))
+      conversationId = conversationOf(content, messageOrId) ?? await this.#threadRoot(idOf(content.inReplyTo))
+    } else {
+      conversationId = messageOrId.conversationId ?? await this.#threadRoot(messageOrId.replyTo)
+    }
+    await this.#blocklistLoaded
+    const collections = [this.activities.actor.inbox, this.activities.actor.outbox]
+    const messages = new Map()
+    // replies that only link their parent, added once the rest of the thread is known
+    const unthreaded = []
+    for (const collection of collections) {
+      let count = 0
+      for await (const activity of this.activities.iterateCollection(collection, { since })) {
+        if (++count > maxItems) {
+          break
+        }
+        if (typeof activity !== 'object') {
+          continue
+        }
+        const threadMessage = this.#messageFromActivity(activity)
+        if (!threadMessage || ImmersClient.#isMessageChange(activity, threadMessage)) {
+          continue
+        }
+        if (threadMessage.conversationId === conversationId || threadMessage.objectId === conversationId) {
+          messages.set(threadMessage.id, threadMessage)
+        } else if (!threadMessage.conversationId) {
+          unthreaded.push(threadMessage)
+        }
+        if (threadMessage.objectId === conversationId) {
+          // the rest of this collection, and of the next, is older than the thread
+          if (!since || threadMessage.timestamp > new Date(since)) {
+            since = threadMessage.timestamp
+          }
+          break
+        }
+      }
+    }
+    const threadObjects = new Set(Array.from(messages.values(), message => message.objectId))
+    let added
+    do {
+      added = false
+      for (const message of unthreaded) {
+        if (!messages.has(message.id) && threadObjects.has(message.replyTo)) {
+          messages.set(message.id, message)
+          threadObjects.add(message.objectId)
+          added = true
+        }
+      }
+    } while (added)
+    return Array.from(messages.values()).sort((a, b) => a.timestamp - b.timestamp)
+  }
+
+  // follow replies that only link their parent back to the start of the thread
+  async #threadRoot (parentId) {
+    for (let depth = 0; parentId && depth < MAX_THREAD_DEPTH; depth++) {
+      const parent = await this.activities.getObject(parentId).catch(() => undefined)
+      if (!parent) {
+        break
+      }
+      const content = contentOf(parent)
+      const conversationId = conversationOf(content, parentId)
+      if (conversationId) {
+        return conversationId
+      }
+      parentId = idOf(content.inReplyTo)
+    }
+    return parentId
+  }
+
+  // conversation properties for a reply
+  static #threadFor (message) {
+    return message && { inReplyTo: message.objectId, conversation: message.conversationId }
+  }
+
+  // link mentions and hashtags in sanitized message content, with matching tag objects
+  async #tagContent (html) {
+    const { mentions, hashtags } = parseTags(html)
+    const resolved = (await Promise.all(mentions.map(async mention => ({
+      ...mention,
+      id: await this.resolveProfileIRI(mention.handle)
+    })))).filter(mention => mention.id)
+    const hashtagURL = name => `${this.activities.homeImmer}/tags/${encodeURIComponent(name)}`
+    return {
+      html: linkTags(html, {
+        mentions: Object.fromEntries(resolved.map(mention => [mention.handle, mention.id])),
+        hashtag: hashtagURL
+      }),
+      tag: [
+        ...resolved.map(mention => ({ type: 'Mention', href: mention.id, name: mention.text })),
+        ...hashtags.map(name => ({ type: 'Hashtag', href: hashtagURL(name), name: `#${name}` }))
+      ],
+      mentioned: resolved.map(mention => mention.id)
+    }
+  }
+
+  // add users to addressees if not already included, excluding the current user
+  #withRecipients (to, userIds) {
+    const added = userIds.filter(id => id && id !== this.profile.id && !to.includes(id))
+    return [...to, ...new Set(added)]
+  }
+
+  /**
+   * Change the content of one of the user's chat messages
+   * @param  {Message} message
+   * @param  {string} content - The new text/HTML content. Will be sanitized before sending
+   * @returns {Promise<string>} Url of the Update activity
+   * @throws {ImmersScopeError} If the creative scope is missing
+   */
+  async editMessage (message, content) {
+    this.#requireScopes(SCOPES.creative)
+    this.#requireOwnMessage(message)
+    if (message.type !== 'chat') {
+      throw new Error('Only chat messages can be edited')
+    }
+    const { html, tag, mentioned } = await this.#tagContent(environment.sanitizeHTML(content))
+    const update = {
+      id: message.objectId,
+      type: 'Note',
+      content: html,
+      tag,
+      updated: new Date().toISOString(),
+      // unchanged, but included so the update has the full context for displaying it
+      to: message.direct ? message.recipients : this.#withRecipients(message.recipients, mentioned),
+      conversation: message.conversationId
+    }
+    if (message.replyTo) {
+      update.inReplyTo = message.replyTo
+    }
+    return this.activities.updateObject(update)
+  }
+
+  /**
+   * Remove one of the user's messages
+   * @param  {Message} message
+   * @returns {Promise<string>} Url of the Delete activity
+   * @throws {ImmersScopeError} If the destructive scope is missing
+   */
+  async deleteMessage (message) {
+    this.#requireScopes(SCOPES.destructive)
+    this.#requireOwnMessage(message)
+    return this.activities.delete(message.objectId, message.recipients)
+  }
+
+  #requireOwnMessage (message) {
+    if (message.sender.id !== this.profile?.id) {
+      throw new Error('Only your own messages can be changed')
+    }
+  }
+
+  /**
+   * React to a message with a Like. Reacting again replaces the previous reaction
+   * @param  {Message} message
+   * @param  {string} [emoji=ReactionTally.DefaultEmoji]
+   * @returns {Promise<string>} Url of the Like activity
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
+   */
+  async react (message, emoji = ReactionTally.DefaultEmoji) {
+    this.#requireScopes(SCOPES.creative)
+    return this.activities.like(message.objectId, [message.sender.id], emoji)
+  }
+
+  /**
+   * Remove the user's reaction to a message
+   * @param  {Message} message
+   * @returns {Promise<string>} Url of the Undo activity
+   * @throws {ImmersScopeError} If 'destructive' scope not authorized
+   * @throws {Error} If the user's reaction can't be found
+   */
+  async unreact (message) {
+    this.#requireScopes(SCOPES.destructive)
+    const likeId = await this.#ownReactionId('Like', message.objectId)
+    return this.activities.unlike(likeId, [message.sender.id])
+  }
+
+  /**
+   * Reshare a message with the user's friends or the public
+   * @param  {Message} message
+   * @param  {string} [privacy='public'] - 'friends' or 'public'
+   * @returns {Promise<string>} Url of the Announce activity
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
+   */
+  async share (message, privacy = 'public') {
+    this.#requireScopes(SCOPES.creative)
+    return this.activities.announce(message.objectId, [message.sender.id], privacy)
+  }
+
+  /**
+   * Remove the user's share of a message
+   * @param  {Message} message
+   * @returns {Promise<string>} Url of the Undo activity
+   * @throws {ImmersScopeError} If 'destructive' scope not authorized
+   * @throws {Error} If the user's share can't be found
+   */
+  async unshare (message) {
+    this.#requireScopes(SCOPES.destructive)
+    const announceId = await this.#ownReactionId('Announce', message.objectId)
+    return this.activities.unannounce(announceId, [message.sender.id])
+  }
+
+  // undos reference the user's Like or Announce by id, found in the tally or the outbox
+  async #ownReactionId (type, objectId) {
+    const known = this.#reactions.activityId(type === 'Like' ? 'like' : 'share', objectId, this.profile.id)
+    const activity = known
+      ? { id: known }
+      : await this.#findInOutbox(activity => activity.type === type && idOf(activity.object) === objectId)
+    if (!activity) {
+      throw new Error(`No ${type} of ${objectId} to remove`)
+    }
+    return activity.id
   }
 
   /**
@@ -361,7 +1143,7 @@ export class ImmersClient extends window.EventTarget {
    * @param  {string} handle - the target user's immers handle or profile id
    */
   async addFriend (handle) {
-    const userId = handle.startsWith('https://') ? handle : await this.resolveProfileIRI(handle)
+    const userId = await this.#resolveUserId(handle)
     const pendingRequest = this.#store.friends?.find(status => status.profile.id === userId && status.status === 'request-received')
     if (pendingRequest) {
       return this.activities.accept(pendingRequest._activity)
@@ -377,7 +1159,7 @@ export class ImmersClient extends window.EventTarget {
    * @param  {string} handle - the target user's immers handle or profile id
    */
   async removeFriend (handle) {
-    const userId = handle.startsWith('https://') ? handle : await this.resolveProfileIRI(handle)
+    const userId = await this.#resolveUserId(handle)
     const pendingRequest = this.#store.friends
       ?.find(status => status.profile.id === userId && status.status === 'request-received')
     if (pendingRequest) {
@@ -393,6 +1175,113 @@ export class ImmersClient extends window.EventTarget {
     return this.activities.reject(userId, userId)
   }
 
+  /**
+   * Block another user. Their messages and friend status are hidden from
+   * {@link feedPage}, {@link friendsList}, and events, and they can't contact the user
+   * @param  {string} handle - the target user's immers handle or profile id
+   * @returns {Promise<string>} Url of the Block activity
+   * @throws {ImmersScopeError} If 'addBlocks' scope not authorized
+   */
+  async blockUser (handle) {
+    this.#requireScopes(SCOPES.addBlocks)
+    const userId = await this.#resolveUserId(handle)
+    const location = await this.activities.block(userId)
+    this.#updateBlocked(userId, true)
+    return location
+  }
+
+  /**
+   * Remove a user from the blocklist
+   * @param  {string} handle - the target user's immers handle or profile id
+   * @returns {Promise<string>} Url of the Undo activity
+   * @throws {ImmersScopeError} If 'destructive' scope not authorized
+   * @throws {Error} If the Block activity can't be found
+   */
+  async unblockUser (handle) {
+    this.#requireScopes(SCOPES.destructive)
+    const userId = await this.#resolveUserId(handle)
+    // the blocklist only includes the blocked users, so the Block to undo is found in the outbox
+    const block = await this.#findInOutbox(activity => activity.type === 'Block' && idOf(activity.object) === userId)
+    if (!block) {
+      throw new Error(`No block of ${userId} to remove`)
+    }
+    const location = await this.activities.unblock(block.id)
+    this.#updateBlocked(userId, false)
+    return location
+  }
+
+  // the user's latest activity matching a filter that hasn't been undone, searching a limited number of outbox items
+  async #findInOutbox (matches) {
+    let count = 0
+    for await (const activity of this.activities.iterateCollection(this.activities.actor.outbox)) {
+      if (typeof activity === 'object') {
+        if (activity.type === 'Undo' && typeof activity.object === 'object' && matches(activity.object)) {
+          return
+        }
+        if (matches(activity)) {
+          return activity
+        }
+      }
+      if (++count >= Activities.CollectionItemLimit) {
+        return
+      }
+    }
+  }
+
+  /**
+   * Fetch profiles of the users the current user has blocked
+   * @returns {Promise<Profile[]>}
+   */
+  async getBlockedUsers () {
+    await this.#blocklistLoaded
+    const actors = await Promise.all(Array.from(this.#blocked, id => this.activities.getObject(id).catch(err => {
+      console.warn(`Unable to fetch blocked user ${id}: ${err.message}`)
+    })))
+    return actors.filter(Boolean).map(ImmersClient.ProfileFromActor)
+  }
+
+  // messages for display exclude blocked users and include reaction counts and mentionsMe
+  #messageFromActivity (activity) {
+    if (this.#isBlocked(activity.actor)) {
+      return
+    }
+    const message = ImmersClient.MessageFromActivity(activity)
+    if (message) {
+      Object.assign(message, this.#reactions.counts(message.objectId))
+      message.mentionsMe = message.mentions.includes(this.profile?.id)
+    }
+    return message
+  }
+
+  #isBlocked (actor) {
+    return this.#blocked.has(actor?.id ?? actor)
+  }
+
+  #updateBlocked (userId, blocked) {
+    if (this.#isBlocked(userId) === blocked) {
+      return
+    }
+    if (blocked) {
+      this.#blocked.add(userId)
+    } else {
+      this.#blocked.delete(userId)
+    }
+    if (this.authorizedScopes.includes(SCOPES.viewFriends)) {
+      this.#publishFriendsUpdate()
+    }
+  }
+
+  async #resolveUserId (handle) {
+    if (/^https?:\/\//.test(handle)) {
+      return handle
+    }
+    const userId = await this.resolveProfileIRI(handle)
+    if (!userId) {
+      throw new Error(`Unable to find user ${handle}`)
+    }
+    return userId
+  }
+
   /*
    * Upload a 3d model as an avatar and optionally share it
    * @param  {string} name - Name/description
@@ -401,24 +1290,90 @@ export class ImmersClient extends window.EventTarget {
    * @param  {string} privacy - 'direct', 'friends', or 'public'
    * @param  {} [to] - Addressees. Accepts Immers handles (username[domain.name]) and ActivityPub IRIs
    * @returns {Promise<string>} Url of avatar creation post
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
    */
-  createAvatar (name, glb, icon, privacy, to = []) {
-    return this.activities.model(name, glb, icon, to, privacy)
+  async createAvatar (name, glb, icon, privacy, to = []) {
+    this.#requireScopes(SCOPES.creative)
+    return this.activities.model(name, glb, icon, to, privacy, {
+      onProgress: progress => this.#publishUploadProgress(glb, progress)
+    })
   }
 
   /**
    * Add an existing avatar to a user's personal avatar collection
    * @param  {(string|APActivity)} sourceActivity - Create activity for the avatar or IRI of activity (other activities with the avatar as their object, e.g. Offer, also allowed)
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
    */
-  addAvatar (sourceActivity) {
+  async addAvatar (sourceActivity) {
+    this.#requireScopes(SCOPES.creative)
     return this.activities.add(sourceActivity, this.profile.collections.avatars)
   }
 
+  /**
+   * Fetch a page of avatars from a user's avatar collection, newest first
+   * @example
+   * let { avatars, cursor } = await immersClient.listAvatars()
+   * while (cursor && userScrolledToBottom()) {
+   *   ({ avatars, cursor } = await immersClient.listAvatars({ cursor }))
+   * }
+   * @param  {object} [options]
+   * @param  {(Profile|string)} [options.owner] - Whose avatars to list, as a Profile, handle, or profile id. Defaults to the current user
+   * @param  {string} [options.cursor] - Continue from a cursor returned by a previous call
+   * @returns {Promise<{avatars: Avatar[], cursor: (string|undefined)}>} cursor is undefined when there are no more avatars
+   */
+  async listAvatars ({ owner, cursor } = {}) {
+    const collection = cursor ?? await this.#avatarCollection(owner)
+    const { value: page } = await this.activities.iterateCollectionPages(collection, { pageLimit: 1 }).next()
+    const avatars = await Promise.all((page?.orderedItems ?? page?.items ?? []).map(item => this.#avatarFromItem(item)))
+    return {
+      avatars: avatars.filter(Boolean),
+      cursor: typeof page?.next === 'string' ? page.next : page?.next?.id
+    }
+  }
+
+  /**
+   * Remove an avatar from the current user's avatar collection
+   * @param  {(Avatar|string)} avatar - Avatar or its id
+   * @returns {Promise<string>} Url of the Remove activity
+   * @throws {ImmersScopeError} If 'destructive' scope not authorized
+   */
+  async removeAvatar (avatar) {
+    this.#requireScopes(SCOPES.destructive)
+    return this.activities.remove(typeof avatar === 'string' ? avatar : avatar.id, this.profile.collections.avatars)
+  }
+
+  // collection items and their objects may be linked rather than embedded
+  async #avatarFromItem (item) {
+    try {
+      const activity = typeof item === 'string' ? await this.activities.getObject(item) : item
+      const model = typeof activity.object === 'string' ? await this.activities.getObject(activity.object) : activity.object
+      return ImmersClient.AvatarFromActivity({ ...activity, object: model })
+    } catch (err) {
+      console.warn(`Unable to load avatar ${item.id ?? item}: ${err.message}`)
+    }
+  }
+
+  async #avatarCollection (owner) {
+    if (!owner) {
+      return this.profile.collections.avatars
+    }
+    if (owner.collections?.avatars) {
+      return owner.collections.avatars
+    }
+    const actor = await this.activities.getObject(owner.id ?? await this.#resolveUserId(owner))
+    if (!actor.streams?.avatars) {
+      throw new Error(`${owner.handle ?? owner} has no avatar collection`)
+    }
+    return actor.streams.avatars
+  }
+
   /**
    * Update user's avatar in their profile.
    * @param  {(object|string)} avatar - Model type object or id for one (or activity containing the model as its object)
+   * @throws {ImmersScopeError} If 'creative' scope not authorized
    */
   async useAvatar (avatar) {
+    this.#requireScopes(SCOPES.creative)
     // if IRI, fetch object
     if (typeof avatar === 'string') {
       avatar = await this.activities.getObject(avatar)
@@ -445,28 +1400,27 @@ export class ImmersClient extends window.EventTarget {
    * falling back to the user's home immer's proxy service if available or plain fetch.
    * @param  {string} url - resource to GET
    * @param  {object} headers - fetch headers
+   * @returns {Promise<Response>}
+   * @throws {ImmersNetworkError} Network failure or timeout
    */
   async corsProxyFetch (url, headers) {
     if (this.localImmer) {
       // prefer direct local fetch or local proxy if possible
-      return window.fetch(
+      return transport.fetch(
         url.startsWith(`https://${this.localImmer}`) ? url : `https://${this.localImmer}/proxy/${url}`,
         { headers }
       )
     }
     const homeProxy = this.activities?.actor?.endpoints?.proxyUrl
-    if (homeProxy) {
+    const token = this.#store.credential?.token
+    if (homeProxy && token) {
       try {
-        headers = {
-          ...headers,
-          Authorization: `Bearer ${this.store.credential.token}`
-        }
         // note this GET proxy is different from the ActivityPub standard POST proxy used for AP objects
-        const result = await window.fetch(`${homeProxy}/${url}`, {
-          headers
+        const result = await transport.fetch(`${homeProxy}/${url}`, {
+          headers: { ...headers, Authorization: `Bearer ${token}` }
         })
         if (!result.ok) {
-          throw new Error(`Fetch failed: ${result.statusText} ${result.body}`)
+          throw await ImmersHTTPError.fromResponse(result, { iri: url })
         }
         return result
       } catch (err) {
@@ -474,9 +1428,7 @@ export class ImmersClient extends window.EventTarget {
       }
     }
     console.warn('No local immer nor user-provided proxy available, attempting normal fetch')
-    return window.fetch(url, {
-      headers
-    })
+    return transport.fetch(url, { headers })
   }
 
   /**
@@ -491,7 +1443,7 @@ export class ImmersClient extends window.EventTarget {
     const { username, immer } = parseHandle(handle)
     const finger = await this.corsProxyFetch(
       `https://${immer}/.well-known/webfinger?resource=acct:${username}@${immer}`,
-      { headers: { Accept: 'application/json' } }
+      { Accept: 'application/json' }
     )
       .then(res => res.json())
       .catch(err => {
@@ -500,10 +1452,8 @@ export class ImmersClient extends window.EventTarget {
       })
     const iri = finger?.links?.find?.((l) => l.rel === 'self')?.href
     if (iri) {
-      this.#store.cachedHandleIRIs = {
-        ...this.#store.cachedHandleIRIs || {},
-        [handle]: iri
-      }
+      this.#store.cachedHandleIRIs ??= {}
+      this.#store.cachedHandleIRIs[handle] = iri
     }
     return iri
   }
@@ -515,9 +1465,6 @@ export class ImmersClient extends window.EventTarget {
    * @returns {Profile | undefined} - User profile or undefined if failed
    */
   async getProfile (handle) {
-    if (this.#store.cachedActors?.[handle]) {
-      return ImmersClient.ProfileFromActor(this.#store.cachedActors[handle])
-    }
     let actor
     const iri = await this.resolveProfileIRI(handle)
     if (!iri) {
@@ -527,15 +1474,11 @@ export class ImmersClient extends window.EventTarget {
       actor = await this.activities.getObject(iri).catch(() => {})
     }
     if (!actor) {
-      actor = await this.corsProxyFetch(iri, { Accept: Activities.JSONLDMime })
-        .then(res => res.json())
+      actor = await this.#objectCache
+        .fetch(iri, headers => this.corsProxyFetch(iri, { ...headers, Accept: Activities.JSONLDMime }))
         .catch(() => {})
     }
     if (actor) {
-      this.#store.cachedActors = {
-        ...this.#store.cachedActors || {},
-        [handle]: actor
-      }
       return ImmersClient.ProfileFromActor(actor)
     }
   }
@@ -548,7 +1491,7 @@ export class ImmersClient extends window.EventTarget {
     const headers = { Accept: 'application/json' }
     const resource = await this.corsProxyFetch(
       `https://${immer}/.well-known/nodeinfo`,
-      { headers }
+      headers
     )
       .then(res => res.json())
       .catch(err => {
@@ -562,17 +1505,15 @@ export class ImmersClient extends window.EventTarget {
     if (!url) {
       return
     }
-    const info = await this.corsProxyFetch(url, { headers })
+    const info = await this.corsProxyFetch(url, headers)
       .then(res => res.json())
       .catch(err => {
         console.error(`Could not resolve nodeinfo ${err.message}`)
         return undefined
       })
     if (info) {
-      this.#store.cachedNodeInfos = {
-        ...this.#store.cachedNodeInfos || {},
-        [immer]: info
-      }
+      this.#store.cachedNodeInfos ??= {}
+      this.#store.cachedNodeInfos[immer] = info
     }
     return info
   }
@@ -584,39 +1525,299 @@ export class ImmersClient extends window.EventTarget {
      * @type {object}
      * @property {FriendStatus[]} detail.friends Current status for each friend
      */
-    const evt = new window.CustomEvent('immers-client-friends-update', {
+    const evt = new environment.CustomEvent('immers-client-friends-update', {
       detail: {
         friends: await this.friendsList()
       }
     })
     this.dispatchEvent(evt)
+    this.#syncTabs('friends')
   }
 
-  #publishIncomingMessage (activity) {
-    const message = ImmersClient.MessageFromActivity(activity)
+  // notify other tabs once changes to the store have been saved
+  async #syncTabs (type, handle = this.handle) {
+    if (!this.#tabSync) {
+      return
+    }
+    await flushStore(this.#store)
+    this.#tabSync.post({ type, handle })
+  }
+
+  async #applyTabSync ({ type, handle }) {
+    const previousCredential = this.#store.credential && { ...this.#store.credential }
+    await reloadStore(this.#store)
+    const credential = this.#store.credential
+    const isCurrentUser = this.connected && this.profile.handle === handle
+    switch (type) {
+      case 'session':
+        if (!credential) {
+          return
+        }
+        if (!isCurrentUser) {
+          // logged in or switched accounts in another tab
+          if (this.connected) {
+            this.disconnect()
+          }
+          return this.restoreSession()
+        }
+        if (credential.token !== previousCredential?.token) {
+          // new token from scope change or renewal
+          const previousScopes = previousCredential?.authorizedScopes ?? []
+          this.#replaceConnections(this.activities.actor, credential.homeImmer, credential.token, credential.authorizedScopes)
+          if (credential.authorizedScopes.some(scope => !previousScopes.includes(scope))) {
+            this.#publishScopesChanged(previousScopes)
+          }
+        }
+        break
+      case 'logout':
+        if (isCurrentUser) {
+          this.disconnect()
+        }
+        break
+      case 'friends':
+        if (isCurrentUser && this.#store.friends) {
+          this.dispatchEvent(new environment.CustomEvent('immers-client-friends-update', {
+            detail: {
+              friends: this.#store.friends
+                // ex-friends (Reject activities) have no status
+                .filter(status => status.status !== 'none' && !this.#isBlocked(status.profile))
+                .sort(ImmersClient.FriendsSorter)
+            }
+          }))
+        }
+        break
+    }
+  }
+
+  /**
+   * Central handling for rejected tokens: notify, optionally attempt
+   * silent re-authorization, and otherwise disconnect while retaining the handle
+   * so the user can easily login again
+   * @returns {Promise<boolean>} true if the session was renewed
+   */
+  #handleSessionExpired () {
+    if (this.#sessionRenewal) {
+      // multiple requests can fail at once
+      return this.#sessionRenewal
+    }
+    /**
+     * The user's access token was rejected. Unless silent re-authorization succeeds,
+     * this will be followed by immers-client-disconnected
+     * @event immers-client-session-expired
+     * @type {object}
+     * @property {string} detail.handle the user's handle, for pre-filling login
+     * @property {boolean} detail.reauthorizing true if silent re-authorization will be attempted
+     */
+    let tokenCatcherURL = this.#tokenCatcherURL
+    // the one used to login, if that wasn't during this page visit
+    tokenCatcherURL ??= this.#store.credential?.loginOptions?.tokenCatcherURL
+    const reauthorizing = !!(this.silentReauth && tokenCatcherURL && this.handle)
+    this.dispatchEvent(new environment.CustomEvent('immers-client-session-expired', {
+      detail: { handle: this.handle, reauthorizing }
+    }))
+    this.#sessionRenewal = this.#renewSession(reauthorizing, tokenCatcherURL)
+      .finally(() => { this.#sessionRenewal = undefined })
+    return this.#sessionRenewal
+  }
+
+  async #renewSession (reauthorizing, tokenCatcherURL) {
+    const wasConnected = this.connected
+    const previousScopes = this.authorizedScopes
+    if (reauthorizing) {
+      const preferredScope = previousScopes.join(' ')
+      const loginOptions = { ...this.#store.credential?.loginOptions, tokenCatcherURL }
+      const options = { pkce: loginOptions.pkce }
+      try {
+        const { actor, token, homeImmer, authorizedScopes } = this.localImmer
+          ? await ImmerOAuthSilent(this.localImmer, this.place.id, preferredScope, tokenCatcherURL, this.handle, options)
+          : await DestinationOAuthSilent(this.handle, preferredScope, tokenCatcherURL, options)
+        this.#store.credential = { token, homeImmer, authorizedScopes, loginOptions }
+        if (wasConnected) {
+          this.#replaceConnections(actor, homeImmer, token, authorizedScopes)
+        } else {
+          this.#setupAfterLogin(actor, homeImmer, token, authorizedScopes)
+        }
+        this.#syncTabs('session')
+        return true
+      } catch (err) {
+        console.warn(`Silent re-authorization failed: ${err.message}`)
+      }
+    }
+    // discard expired token, but keep handle to pre-fill login
+    this.#store.credential = undefined
+    this.#removeSavedAccount(this.handle)
+    this.#syncTabs('logout', this.handle)
+    if (wasConnected) {
+      this.disconnect()
+    }
+    return false
+  }
+
+  #publishScopesChanged (previousScopes) {
+    const authorizedScopes = this.authorizedScopes
+    /**
+     * Additional scopes were granted via {@link requestScopes}
+     * @event immers-client-scopes-changed
+     * @type {object}
+     * @property {string[]} detail.authorizedScopes All scopes now authorized
+     * @property {string[]} detail.addedScopes Newly authorized scopes
+     */
+    const evt = new environment.CustomEvent('immers-client-scopes-changed', {
+      detail: {
+        authorizedScopes,
+        addedScopes: authorizedScopes.filter(scope => !previousScopes.includes(scope))
+      }
+    })
+    this.dispatchEvent(evt)
+  }
+
+  async #publishIncomingMessage (activity) {
+    if (this.#feed.hasSeen(activity)) {
+      // already loaded via feed paging
+      return
+    }
+    this.#feed.markSeen(activity)
+    await this.#blocklistLoaded
+    const message = this.#messageFromActivity(activity)
     if (!message) {
       // activity type was not convertable to chat message
       return
     }
+    if (ImmersClient.#isMessageChange(activity, message)) {
+      this.#dispatchMessageUpdate(message)
+      return
+    }
     /**
      * New chat or status message received
      * @event immers-client-new-message
      * @type {ImmersClientNewMessageEvent}
      */
-    const evt = new window.CustomEvent('immers-client-new-message', {
+    const evt = new environment.CustomEvent('immers-client-new-message', {
       detail: { message }
     })
     this.dispatchEvent(evt)
   }
 
+  #publishUploadProgress (file, { loaded, total }) {
+    /**
+     * Progress uploading media with sendImage, sendVideo, or createAvatar.
+     * Reported as the file is sent in browsers, otherwise only when complete
+     * @event immers-client-upload-progress
+     * @type {ImmersClientUploadProgressEvent}
+     */
+    const evt = new environment.CustomEvent('immers-client-upload-progress', {
+      detail: { file, loaded, total }
+    })
+    this.dispatchEvent(evt)
+  }
+
+  // avatar collection changes made in any session
+  async #publishAvatarsUpdate (activity) {
+    const avatarsIRI = this.profile?.collections?.avatars
+    const target = idOf(activity.target)
+    let detail
+    if (activity.type === 'Create' && activity.object?.type === 'Model') {
+      detail = { action: 'add', avatar: ImmersClient.AvatarFromActivity(activity) }
+    } else if (activity.type === 'Add' && target === avatarsIRI) {
+      detail = { action: 'add', avatar: await this.#avatarFromItem(activity.object) }
+    } else if (activity.type === 'Remove' && target === avatarsIRI) {
+      detail = { action: 'remove', avatarId: idOf(activity.object) }
+    }
+    if (!detail || (detail.action === 'add' && !detail.avatar)) {
+      return
+    }
+    detail.avatarId ??= detail.avatar.id
+    /**
+     * An avatar was added to or removed from the user's avatar collection
+     * @event immers-client-avatars-update
+     * @type {ImmersClientAvatarsUpdateEvent}
+     */
+    const evt = new environment.CustomEvent('immers-client-avatars-update', { detail })
+    this.dispatchEvent(evt)
+  }
+
+  async #publishMessageChange (activity) {
+    await this.#blocklistLoaded
+    const message = this.#messageFromActivity(activity)
+    if (message && ImmersClient.#isMessageChange(activity, message)) {
+      this.#dispatchMessageUpdate(message)
+    }
+  }
+
+  #dispatchMessageUpdate (message) {
+    /**
+     * A message was edited or deleted
+     * @event immers-client-message-update
+     * @type {ImmersClientMessageUpdateEvent}
+     */
+    const evt = new environment.CustomEvent('immers-client-message-update', {
+      detail: { message }
+    })
+    this.dispatchEvent(evt)
+  }
+
+  static #isMessageChange (activity, message) {
+    return message.deleted || (activity.type === 'Update' && message.edited)
+  }
+
+  async #publishReaction (activity) {
+    await this.#blocklistLoaded
+    if (this.#isBlocked(activity.actor)) {
+      return
+    }
+    const reaction = this.#reactions.add(activity)
+    if (!reaction || typeof activity.actor !== 'object') {
+      return
+    }
+    /**
+     * A message was liked or shared, or a like or share was removed
+     * @event immers-client-reaction
+     * @type {ImmersClientReactionEvent}
+     */
+    const evt = new environment.CustomEvent('immers-client-reaction', {
+      detail: {
+        reaction,
+        profile: ImmersClient.ProfileFromActor(activity.actor),
+        ...this.#reactions.counts(reaction.objectId)
+      }
+    })
+    this.dispatchEvent(evt)
+  }
+
   /**
    * Users Immers handle, if known. May be available even when logged-out if passed via URL or stored from past login
+   * (after {@link ready} resolves)
    * @type {string}
    */
   get handle () {
     return this.#store.handle
   }
 
+  /**
+   * Scopes the user has authorized for the current session
+   * @type {string[]}
+   */
+  get authorizedScopes () {
+    return this.#store.credential?.authorizedScopes ?? []
+  }
+
+  /**
+   * Check which of the given scopes have not been authorized by the user,
+   * e.g. to decide whether to call {@link requestScopes}
+   * @param  {...string} scopes Scopes from {@link SCOPES}
+   * @returns {string[]} Scopes not authorized (empty if all are authorized)
+   */
+  missingScopes (...scopes) {
+    return scopes.filter(scope => !this.authorizedScopes.includes(scope))
+  }
+
+  #requireScopes (...scopes) {
+    const missing = this.missingScopes(...scopes)
+    if (missing.length) {
+      throw new ImmersScopeError(missing)
+    }
+  }
+
   /**
    * Array.sort compareFunction to sort a friends list putting online
    * friends at the top and the rest by most recent update
@@ -683,7 +1884,7 @@ export class ImmersClient extends window.EventTarget {
       status,
       statusString,
       __unsafeStatusHTML,
-      statusHTML: DOMPurify.sanitize(__unsafeStatusHTML)
+      statusHTML: environment.sanitizeHTML(__unsafeStatusHTML)
     }
     Object.defineProperty(friendStatus, '_activity', { enumerable: false, value: activity })
     return friendStatus
@@ -695,15 +1896,43 @@ export class ImmersClient extends window.EventTarget {
    * @returns {Message | null}
    */
   static MessageFromActivity (activity) {
+    if (ReactionTally.ReactionFromActivity(activity)) {
+      // aggregated into Message.reactions and Message.shares instead
+      return null
+    }
+    const content = contentOf(activity)
+    const replyTo = idOf(content.inReplyTo)
+    const recipients = [].concat(content.to ?? [], content.cc ?? []).map(idOf)
+    const tags = [].concat(content.tag ?? [])
     /** @type {Message} */
     const message = {
       id: activity.id,
       type: 'other',
       sender: ImmersClient.ProfileFromActor(activity.actor),
-      timestamp: activity.published ? new Date(activity.published) : new Date()
+      timestamp: activity.published ? new Date(activity.published) : new Date(),
+      objectId: content.id ?? activity.id,
+      replyTo,
+      conversationId: conversationOf(content, activity.id),
+      recipients,
+      direct: !recipients.some(recipient => PUBLIC_ADDRESSES.includes(recipient) || recipient === activity.actor?.followers),
+      reactions: {},
+      shares: 0,
+      edited: activity.type === 'Update' || Boolean(content.updated),
+      deleted: false,
+      mentions: tags.filter(tag => tag.type === 'Mention' && tag.href).map(tag => tag.href),
+      tags: tags.filter(tag => tag.type === 'Hashtag' && tag.name).map(tag => tag.name.replace(/^#/, '')),
+      mentionsMe: false
     }
     message.__unsafeMessageHTML = activity.object?.content || activity.content
     switch (activity.type) {
+      case 'Update':
+        if (!['Note', 'Image', 'Video'].includes(activity.object?.type)) {
+          // e.g. profile updates
+          message.edited = false
+          message.__unsafeMessageHTML = activity.summary
+          break
+        }
+        // falls through
       case 'Create':
         switch (activity.object?.type) {
           case 'Note':
@@ -723,6 +1952,9 @@ export class ImmersClient extends window.EventTarget {
             message.__unsafeMessageHTML = `<video class="immers-message-media" controls autplay muted plasinline src=${activity.object.url} crossorigin="anonymous">`
             break
         }
+        if (message.type === 'media' && activity.object.summary) {
+          message.__unsafeMessageHTML += `<p class="immers-message-caption">${activity.object.summary}</p>`
+        }
         break
       case 'Arrive':
       case 'Leave':
@@ -740,16 +1972,42 @@ export class ImmersClient extends window.EventTarget {
         message.type = 'status'
         message.__unsafeMessageHTML = activity.summary || '<span>Accepted your friend request</span>'
         break
+      case 'Delete':
+        message.deleted = true
+        message.__unsafeMessageHTML = ''
+        break
       default:
         message.__unsafeMessageHTML = activity.summary
     }
-    if (!message.__unsafeMessageHTML) {
+    if (!message.__unsafeMessageHTML && !message.deleted) {
       return null
     }
-    message.messageHTML = DOMPurify.sanitize(message.__unsafeMessageHTML)
+    message.messageHTML = environment.sanitizeHTML(message.__unsafeMessageHTML)
     return message
   }
 
+  /**
+   * Convert an item from an avatar collection to an Avatar
+   * @param  {APActivity} activity - Activity with an embedded Model object, e.g. Create
+   * @returns {(Avatar|null)} null if the activity doesn't have a usable model
+   */
+  static AvatarFromActivity (activity) {
+    const model = activity.object
+    const url = ImmersClient.URLFromProperty(model?.url)
+    if (typeof model !== 'object' || !url) {
+      return null
+    }
+    return {
+      id: activity.id,
+      name: model.name,
+      url,
+      icon: ImmersClient.URLFromProperty(model.icon),
+      creator: idOf(model.attributedTo) ?? idOf(activity.actor),
+      activity,
+      model
+    }
+  }
+
   /**
    * Convert ActivityPub Actor format to Immers profile
    * @param  {APActor} actor - ActivityPub Actor object
@@ -783,13 +2041,13 @@ export class ImmersClient extends window.EventTarget {
 
   async #setPlaceFromDestination (destinationDescription) {
     if (typeof destinationDescription === 'string') {
-      this.place = await window.fetch(destinationDescription, {
+      this.place = await transport.fetch(destinationDescription, {
         headers: { Accept: Activities.JSONLDMime }
       }).then(res => res.json())
     } else {
       const defaultPlace = { type: 'Place', audience: Activities.PublicAddress }
       const basePlace = this.localImmer
-        ? await window.fetch(`${getURLPart(this.localImmer, 'origin')}/o/immer`, {
+        ? await transport.fetch(`${getURLPart(this.localImmer, 'origin')}/o/immer`, {
             headers: { Accept: Activities.JSONLDMime }
           }).then(res => res.json()).catch(() => defaultPlace)
         : defaultPlace
@@ -809,11 +2067,13 @@ export class ImmersClient extends window.EventTarget {
    * Can be the same page as long as loading it again in a pop-up won't cause a the main session to disconnect.
    * @param  {string} requestedRole Access level to request, see {@link roles} for details
    * @param  {string} [handle] User's immers handle. Optional if you have a local Immers Server
+   * @param  {object} [options] See {@link login}
    * @deprecated Split into to methods, {@link login} and {@link enter}, for better control over when a user goes online
    * @returns {string} token OAuth2 acess token
    */
-  async connect (tokenCatcherURL, requestedRole, handle) {
-    const token = await this.login(tokenCatcherURL, requestedRole, handle)
+  async connect (tokenCatcherURL, requestedRole, handle, options) {
+    // redirect-mode logins go online when the session is completed
+    const token = await this.login(tokenCatcherURL, requestedRole, handle, { ...options, enter: true })
     this.enter()
     return token
   }
@@ -831,3 +2091,29 @@ export class ImmersClient extends window.EventTarget {
     return false
   }
 }
+
+function idOf (objectOrId) {
+  return objectOrId?.id ?? objectOrId
+}
+
+// threading and addressing is on the created, updated, or deleted object, if any
+function contentOf (activity) {
+  if (!['Create', 'Update', 'Delete'].includes(activity.type)) {
+    return activity
+  }
+  return typeof activity.object === 'object' ? activity.object : { id: activity.object }
+}
+
+// replies from other software may only link their parent, which isn't necessarily the start of the thread,
+// so their conversation is unknown
+function conversationOf (content, fallbackId) {
+  if (content.conversation) {
+    return idOf(content.conversation)
+  }
+  return content.inReplyTo ? undefined : content.id ?? fallbackId
+}
+
+// login options saved with the session, to renew it the same way
+function savedLoginOptions (tokenCatcherURL, { pkce } = {}) {
+  return { tokenCatcherURL: tokenCatcherURL && String(tokenCatcherURL), pkce: !!pkce }
+}
@@ -0,0 +1,89 @@
+/**
+ * Platform APIs used by immers-client. Each defaults to the global of the same name when available,
+ * which covers browsers, Web Workers, and Node.js 19+ (crypto is not global in Node.js 18). Provide replacements or fill gaps with {@link configureEnvironment}.
+ * Features that depend on a missing API are skipped or unavailable, e.g. without a location
+ * there is no handle passed in the URL hash and no redirect-mode login.
+ * @typedef {object} Environment
+ * @property {function(RequestInfo, RequestInit): Promise<Response>} fetch Used for all HTTP requests
+ * @property {function(new:XMLHttpRequest)} [XMLHttpRequest] Used instead of fetch for uploads with progress reporting
+ * @property {Storage} [localStorage] For the 'local' storage option
+ * @property {Storage} [sessionStorage] For the 'session' storage option and redirect login state
+ * @property {IDBFactory} [indexedDB] For the 'indexeddb' storage option, object cache persistence, and credential encryption
+ * @property {Crypto} [crypto] WebCrypto, for credential encryption and PKCE
+ * @property {Location} [location] Page location
+ * @property {function(new:BroadcastChannel, string)} [BroadcastChannel] For cross-tab synchronization
+ * @property {function(new:CustomEvent, string, object)} CustomEvent Used to dispatch all events
+ * @property {function(string): string} sanitizeHTML Make HTML content safe to display. Defaults to DOMPurify where a DOM is available,
+ * otherwise escapes all markup. Provide your own, e.g. DOMPurify with jsdom, to allow formatted messages outside the browser
+ */
+
+import DOMPurify from 'dompurify'
+
+// CustomEvent is not global in Node.js < 19
+class DetailEvent extends globalThis.Event {
+  constructor (type, options) {
+    super(type, options)
+    this.detail = options?.detail ?? null
+  }
+}
+
+function escapeHTML (html) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+  return String(html).replace(/[&<>"']/g, char => entities[char])
+}
+
+// some browser contexts throw when storage is accessed, e.g. sandboxed iframes
+function safeGlobal (name) {
+  try {
+    return globalThis[name]
+  } catch {
+    return undefined
+  }
+}
+
+const defaults = {
+  fetch: () => globalThis.fetch && ((...args) => globalThis.fetch(...args)),
+  XMLHttpRequest: () => globalThis.XMLHttpRequest,
+  localStorage: () => safeGlobal('localStorage'),
+  sessionStorage: () => safeGlobal('sessionStorage'),
+  indexedDB: () => safeGlobal('indexedDB'),
+  crypto: () => globalThis.crypto,
+  location: () => globalThis.location,
+  BroadcastChannel: () => globalThis.BroadcastChannel,
+  CustomEvent: () => globalThis.CustomEvent ?? DetailEvent,
+  sanitizeHTML: () => DOMPurify.isSupported ? html => DOMPurify.sanitize(html) : escapeHTML
+}
+const overrides = {}
+
+/**
+ * Current platform APIs, see {@link configureEnvironment}
+ * @type {Environment}
+ */
+export const environment = Object.defineProperties({}, Object.fromEntries(
+  Object.keys(defaults).map(name => [name, {
+    enumerable: true,
+    get: () => name in overrides ? overrides[name] : defaults[name]()
+  }])
+))
+
+/**
+ * Replace platform APIs used by immers-client. Call before creating any clients.
+ * The EventTarget base class for ImmersClient and other event emitters can't be replaced
+ * this way; it must be available globally before immers-client is imported
+ * @example
+ * // Node.js bot with persistent login
+ * import { LocalStorage } from 'node-localstorage'
+ * import { configureEnvironment, ImmersClient } from 'immers-client'
+ * configureEnvironment({ localStorage: new LocalStorage('./immers-data') })
+ * const client = new ImmersClient(destination, { storage: 'local' })
+ * await client.loginWithToken(process.env.IMMERS_TOKEN, 'immers.space', 'postLocation')
+ * @param  {Partial<Environment>} apis
+ */
+export function configureEnvironment (apis) {
+  Object.entries(apis).forEach(([name, api]) => {
+    if (!(name in defaults)) {
+      throw new Error(`Unknown environment API ${name}`)
+    }
+    overrides[name] = api
+  })
+}
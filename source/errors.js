@@ -0,0 +1,161 @@
+/**
+ * Base class for failed login/authorization attempts
+ */
+export class ImmersAuthError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {object} [details]
+   * @param  {string} [details.error] OAuth error code, e.g. 'access_denied'
+   * @param  {string} [details.errorDescription] Human-readable explanation from the authorization server
+   */
+  constructor (message, { error, errorDescription } = {}) {
+    super(message)
+    this.name = 'ImmersAuthError'
+    this.error = error
+    this.errorDescription = errorDescription
+  }
+}
+
+/**
+ * User declined the authorization request
+ */
+export class ImmersAuthDeniedError extends ImmersAuthError {
+  constructor (message = 'Authorization denied', details) {
+    super(message, { error: 'access_denied', ...details })
+    this.name = 'ImmersAuthDeniedError'
+  }
+}
+
+/**
+ * User closed the login window before completing authorization, or it could not be opened
+ */
+export class ImmersAuthCancelledError extends ImmersAuthError {
+  constructor (message = 'Login window closed before authorization was complete', details) {
+    super(message, details)
+    this.name = 'ImmersAuthCancelledError'
+  }
+}
+
+/**
+ * Authorization was not completed within the allowed time
+ */
+export class ImmersAuthTimeoutError extends ImmersAuthError {
+  constructor (message = 'Login timed out', details) {
+    super(message, details)
+    this.name = 'ImmersAuthTimeoutError'
+  }
+}
+
+/**
+ * The user has not authorized a scope required for an action.
+ * Use {@link ImmersClient#requestScopes} to ask for it.
+ */
+export class ImmersScopeError extends Error {
+  /**
+   * @param  {string[]} missingScopes Required scopes that have not been authorized
+   */
+  constructor (missingScopes) {
+    super(`Not authorized. Missing scope: ${missingScopes.join(', ')}`)
+    this.name = 'ImmersScopeError'
+    this.missingScopes = missingScopes
+  }
+}
+
+/**
+ * A request received an unsuccessful HTTP response
+ */
+export class ImmersHTTPError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {object} details
+   * @param  {number} details.status HTTP status code
+   * @param  {string} [details.statusText]
+   * @param  {string} [details.body] Response body text, if any
+   * @param  {string} [details.iri] URL requested
+   * @param  {string} [details.method] HTTP method used
+   */
+  constructor (message, { status, statusText, body, iri, method } = {}) {
+    super(message)
+    this.name = 'ImmersHTTPError'
+    this.status = status
+    this.statusText = statusText
+    this.body = body
+    this.iri = iri
+    this.method = method
+  }
+
+  /**
+   * @param  {Response} response Unsuccessful response; its body will be read
+   * @param  {object} [request]
+   * @param  {string} [request.method='GET']
+   * @param  {string} [request.iri] Resource requested, if different from the response url (e.g. when proxied)
+   * @returns {Promise<ImmersHTTPError>}
+   */
+  static async fromResponse (response, { method = 'GET', iri = response.url } = {}) {
+    const body = await response.text().catch(() => undefined)
+    return new ImmersHTTPError(
+      `${method} ${iri} failed: ${response.status} ${response.statusText}`.trim(),
+      { status: response.status, statusText: response.statusText, body, iri, method }
+    )
+  }
+}
+
+/**
+ * A request could not be completed because of a network failure or timeout
+ */
+export class ImmersNetworkError extends Error {
+  /**
+   * @param  {string} message
+   * @param  {object} details
+   * @param  {string} [details.iri] URL requested
+   * @param  {string} [details.method] HTTP method used
+   * @param  {boolean} [details.timedOut] Was the request aborted due to timeout
+   * @param  {Error} [details.cause] Original error from fetch
+   */
+  constructor (message, { iri, method, timedOut = false, cause } = {}) {
+    super(message)
+    this.name = 'ImmersNetworkError'
+    this.iri = iri
+    this.method = method
+    this.timedOut = timedOut
+    this.cause = cause
+  }
+}
+
+/**
+ * The user's access token was rejected by their home immer (HTTP 401 or 403),
+ * usually because it has expired or been revoked
+ */
+export class ImmersSessionExpiredError extends ImmersHTTPError {
+  /**
+   * Whether a response status means the user's token was rejected
+   * @param  {number} status
+   * @returns {boolean}
+   */
+  static isExpiredStatus (status) {
+    return status === 401 || status === 403
+  }
+
+  /**
+   * @param  {number} status HTTP status code of the rejected request
+   * @param  {object} [details] See {@link ImmersHTTPError}
+   */
+  constructor (status, details) {
+    super(`Session expired or access revoked (${status})`, { ...details, status })
+    this.name = 'ImmersSessionExpiredError'
+  }
+}
+
+/**
+ * Convert an OAuth error response into the matching error class
+ * @param  {string} error OAuth error code
+ * @param  {string} [errorDescription]
+ * @returns {ImmersAuthError}
+ */
+export function authErrorFromResponse (error, errorDescription) {
+  const message = errorDescription || `Authorization failed: ${error}`
+  if (error === 'access_denied') {
+    return new ImmersAuthDeniedError(message, { errorDescription })
+  }
+  return new ImmersAuthError(message, { error, errorDescription })
+}
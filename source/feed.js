@@ -0,0 +1,206 @@
+import { Activities } from './activities.js'
+
+/**
+ * Merges a user's inbox and outbox into one reverse-chronological stream of messages,
+ * paged with opaque cursors. Messages are de-duplicated by id, including any marked as seen
+ * after arriving from elsewhere (e.g. the streaming API).
+ */
+export class MessageFeed {
+  static PageSize = 20
+
+  #getActivities
+  #toMessage
+  #readers
+  #seen = new Set()
+  #newestPaged = 0
+  /**
+   * @param  {function(): Activities} getActivities Current Activities instance for the user
+   * @param  {function(APActivity): (Message|undefined)} toMessage Convert an activity to a message, or undefined to skip it
+   */
+  constructor (getActivities, toMessage) {
+    this.#getActivities = getActivities
+    this.#toMessage = toMessage
+  }
+
+  /**
+   * Get the next page of older messages, continuing from the last call or from a cursor
+   * @param  {object} [options]
+   * @param  {string} [options.cursor] Resume from a cursor returned by a previous call
+   * @param  {number} [options.limit=MessageFeed.PageSize] Maximum number of messages
+   * @returns {Promise<{messages: Message[], cursor: (string|undefined)}>} cursor is undefined when there are no older messages
+   */
+  async older ({ cursor, limit = MessageFeed.PageSize } = {}) {
+    if (cursor || !this.#readers) {
+      this.#readers = this.#createReaders(cursor && decodeCursor(cursor))
+    }
+    const messages = []
+    while (messages.length < limit) {
+      const activity = await nextActivity(this.#readers)
+      if (!activity) {
+        break
+      }
+      const message = this.#accept(activity)
+      if (message) {
+        messages.push(message)
+      }
+    }
+    return { messages, cursor: encodeCursor(this.#readers) }
+  }
+
+  /**
+   * Get messages published since a given time that haven't already been returned
+   * @param  {object} [options]
+   * @param  {(Date|string)} [options.since] Defaults to the newest message returned by the feed so far
+   * @returns {Promise<Message[]>} Newest first
+   */
+  async newer ({ since } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : this.#newestPaged
+    const readers = this.#createReaders()
+    const messages = []
+    for (let count = 0; count < Activities.CollectionItemLimit; count++) {
+      const activity = await nextActivity(readers)
+      if (!activity || publishedTime(activity) <= sinceTime) {
+        break
+      }
+      const message = this.#accept(activity)
+      if (message) {
+        messages.push(message)
+      }
+    }
+    return messages
+  }
+
+  /**
+   * Exclude a message received from elsewhere from future results
+   * @param  {(Message|APActivity)} message
+   */
+  markSeen (message) {
+    this.#seen.add(message.id)
+  }
+
+  /**
+   * @param  {(Message|APActivity)} message
+   * @returns {boolean} Has this message been returned by or marked seen in this feed
+   */
+  hasSeen (message) {
+    return this.#seen.has(message.id)
+  }
+
+  /**
+   * Start over from the most recent messages, forgetting which have been seen
+   */
+  reset () {
+    this.#readers = undefined
+    this.#seen.clear()
+    this.#newestPaged = 0
+  }
+
+  #createReaders (position) {
+    const activities = this.#getActivities()
+    return {
+      inbox: new CollectionReader(activities, activities.actor.inbox, position?.inbox),
+      outbox: new CollectionReader(activities, activities.actor.outbox, position?.outbox)
+    }
+  }
+
+  #accept (activity) {
+    if (this.#seen.has(activity.id)) {
+      return
+    }
+    this.#seen.add(activity.id)
+    this.#newestPaged = Math.max(this.#newestPaged, publishedTime(activity))
+    return this.#toMessage(activity)
+  }
+}
+
+// reads a reverse-chronological collection one item at a time from a resumable position
+class CollectionReader {
+  #pages
+  #page
+  #index
+  #start
+  #done = false
+  /**
+   * @param  {Activities} activities
+   * @param  {IRI} collection
+   * @param  {({page: IRI, index: number}|null)} [position] Saved position, null if the collection was finished
+   */
+  constructor (activities, collection, position) {
+    this.#start = position ?? { page: collection, index: 0 }
+    this.#index = this.#start.index
+    this.#done = position === null
+    this.#pages = activities.iterateCollectionPages(this.#start.page)
+  }
+
+  /**
+   * @returns {Promise<(APActivity|undefined)>} Next activity without advancing
+   */
+  async peek () {
+    while (!this.#done) {
+      const items = this.#page?.orderedItems ?? this.#page?.items ?? []
+      if (this.#index < items.length) {
+        if (typeof items[this.#index] === 'object') {
+          return items[this.#index]
+        }
+        // links to activities aren't supported
+        this.#index++
+        continue
+      }
+      const { value, done } = await this.#pages.next()
+      // saved index only applies to the first page loaded
+      if (this.#page) {
+        this.#index = 0
+      }
+      this.#page = value
+      this.#done = done
+    }
+  }
+
+  advance () {
+    this.#index++
+  }
+
+  get position () {
+    if (this.#done) {
+      return null
+    }
+    if (!this.#page) {
+      return this.#start
+    }
+    return { page: this.#page.id ?? this.#start.page, index: this.#index }
+  }
+}
+
+// take the most recent activity from either collection
+async function nextActivity (readers) {
+  const [inboxNext, outboxNext] = await Promise.all([readers.inbox.peek(), readers.outbox.peek()])
+  if (!inboxNext && !outboxNext) {
+    return
+  }
+  if (!outboxNext || (inboxNext && publishedTime(inboxNext) >= publishedTime(outboxNext))) {
+    readers.inbox.advance()
+    return inboxNext
+  }
+  readers.outbox.advance()
+  return outboxNext
+}
+
+function publishedTime (activity) {
+  return new Date(activity.published).getTime() || 0
+}
+
+function encodeCursor (readers) {
+  const position = { inbox: readers.inbox.position, outbox: readers.outbox.position }
+  if (!position.inbox && !position.outbox) {
+    return
+  }
+  return globalThis.btoa(JSON.stringify(position))
+}
+
+function decodeCursor (cursor) {
+  try {
+    return JSON.parse(globalThis.atob(cursor))
+  } catch {
+    throw new Error('Invalid feed cursor')
+  }
+}
@@ -0,0 +1,163 @@
+import { ImmersHTTPError } from './errors.js'
+
+const OWNER_KEY = '_immers_cache_owner'
+
+/**
+ * @typedef {object} CachedObject
+ * @property {APObject} object
+ * @property {number} fetchedAt Timestamp of the last successful (or not modified) response
+ * @property {string} [etag]
+ * @property {string} [lastModified]
+ */
+
+/**
+ * Cache for ActivityPub objects keyed by IRI. Fresh objects are served without a request;
+ * stale ones are revalidated with ETag/Last-Modified conditional requests. Concurrent fetches
+ * for the same IRI share one request. Collections are never stored as they change frequently.
+ */
+export class ObjectCache {
+  static DefaultTTL = 5 * 60 * 1000
+  static MaxEntries = 500
+
+  #entries = new Map()
+  #inFlight = new Map()
+  #storage
+  #owner
+  #ownerCheck = Promise.resolve()
+  /**
+   * @param  {object} [options]
+   * @param  {number} [options.ttl=ObjectCache.DefaultTTL] Milliseconds objects are used without revalidating
+   * @param  {StorageAdapter} [options.storage] Persist the cache, e.g. with {@link indexedDBStorage}. Must support clear
+   */
+  constructor ({ ttl = ObjectCache.DefaultTTL, storage } = {}) {
+    this.ttl = ttl
+    this.#storage = storage
+  }
+
+  /**
+   * Get an object, from cache if fresh
+   * @param  {IRI} iri
+   * @param  {function(object): Promise<Response>} request Make the request with the given additional headers
+   * @param  {object} [options]
+   * @param  {number} [options.maxAge=this.ttl] Override ttl, e.g. 0 to always revalidate
+   * @returns {Promise<APObject>}
+   * @throws {ImmersHTTPError} Unsuccessful response
+   */
+  fetch (iri, request, { maxAge = this.ttl } = {}) {
+    if (!this.#inFlight.has(iri)) {
+      this.#inFlight.set(iri, this.#fetch(iri, request, maxAge).finally(() => this.#inFlight.delete(iri)))
+    }
+    return this.#inFlight.get(iri)
+  }
+
+  /**
+   * @param  {IRI} iri
+   * @returns {Promise<(CachedObject|undefined)>}
+   */
+  async get (iri) {
+    await this.#ownerCheck
+    if (this.#entries.has(iri)) {
+      const entry = this.#entries.get(iri)
+      this.#remember(iri, entry)
+      return entry
+    }
+    const entry = await Promise.resolve(this.#storage?.getItem(iri)).catch(() => undefined)
+    if (entry) {
+      this.#remember(iri, entry)
+    }
+    return entry
+  }
+
+  /**
+   * Remove an object, e.g. because it has been updated or deleted
+   * @param  {IRI} iri
+   */
+  async invalidate (iri) {
+    this.#entries.delete(iri)
+    await this.#storage?.removeItem(iri)
+  }
+
+  /**
+   * Remove all objects
+   */
+  async clear () {
+    this.#entries.clear()
+    await this.#storage?.clear?.()
+  }
+
+  /**
+   * Objects may only be visible to the user who fetched them,
+   * so the cache is cleared when used for a different user. Reads wait until this is done.
+   * If the persisted cache can't be checked or cleared, it is no longer used
+   * @param  {IRI} actorId
+   * @returns {Promise}
+   */
+  setOwner (actorId) {
+    this.#ownerCheck = this.#ownerCheck
+      .then(() => this.#setOwner(actorId))
+      .catch(err => {
+        console.warn(`Unable to clear cached objects, persistent cache disabled: ${err.message}`)
+        this.#storage = undefined
+        this.#entries.clear()
+      })
+    return this.#ownerCheck
+  }
+
+  async #setOwner (actorId) {
+    this.#owner ??= await Promise.resolve(this.#storage?.getItem(OWNER_KEY)).catch(() => undefined)
+    if (this.#owner === actorId) {
+      return
+    }
+    this.#owner = actorId
+    await this.clear()
+    await this.#storage?.setItem(OWNER_KEY, actorId)
+  }
+
+  async #fetch (iri, request, maxAge) {
+    const cached = await this.get(iri)
+    if (cached && Date.now() - cached.fetchedAt < maxAge) {
+      return cached.object
+    }
+    const headers = {}
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag
+    }
+    if (cached?.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified
+    }
+    const response = await request(headers)
+    if (response.status === 304 && cached) {
+      this.#save(iri, { ...cached, fetchedAt: Date.now() })
+      return cached.object
+    }
+    if (!response.ok) {
+      throw await ImmersHTTPError.fromResponse(response, { iri })
+    }
+    const object = await response.json()
+    const isCollection = [].concat(object?.type).some(type => /Collection(Page)?$/.test(type))
+    if (!isCollection && !/no-store/.test(response.headers.get('Cache-Control'))) {
+      this.#save(iri, {
+        object,
+        fetchedAt: Date.now(),
+        etag: response.headers.get('ETag') ?? undefined,
+        lastModified: response.headers.get('Last-Modified') ?? undefined
+      })
+    }
+    return object
+  }
+
+  #save (iri, entry) {
+    this.#remember(iri, entry)
+    Promise.resolve(this.#storage?.setItem(iri, entry))
+      .catch(err => console.warn(`Unable to save cached object: ${err.message}`))
+  }
+
+  #remember (iri, entry) {
+    // re-insert so Map order is least recently used first
+    this.#entries.delete(iri)
+    this.#entries.set(iri, entry)
+    if (this.#entries.size > ObjectCache.MaxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value)
+    }
+  }
+}
@@ -0,0 +1,243 @@
+import { environment } from './environment.js'
+import { ImmersHTTPError, ImmersNetworkError, ImmersSessionExpiredError } from './errors.js'
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {string} localId Identifier for the activity until it is sent and has an IRI
+ * @property {APActivity} activity
+ * @property {('pending'|'paused'|'sent'|'failed')} status Paused activities are sent once the user logs back in
+ * @property {number} attempts Number of times sending has been tried
+ * @property {string} [location] IRI of the activity once sent
+ * @property {string} [error] Reason for failure
+ */
+
+/**
+ * Persistent queue for posting activities that retries with exponential backoff
+ * when the network is unavailable. Retries are also triggered when the browser comes back online
+ * or by calling {@link flush}, e.g. when the streaming socket reconnects.
+ * Sending is paused while the user is disconnected or if their session expires, until {@link resume} is called after they log back in.
+ * Queued Arrive/Leave activities are coalesced so only the latest location update is sent.
+ * @fires immers-outbox-status
+ */
+export class OutboxQueue extends globalThis.EventTarget {
+  static MaxAttempts = 8
+  /** Milliseconds before the first retry, doubled after each failed attempt */
+  static RetryDelay = 1000
+  static MaxRetryDelay = 60000
+
+  #send
+  #getEntries
+  #inFlight
+  // entries with a waiting caller of post, and the rejection to report to it, by localId
+  #rejections = new Map()
+  #paused = false
+  // error that paused sending until the user logs back in
+  #sessionExpired
+  #flushing
+  #retryTimer
+  #onOnline
+  /**
+   * @param  {function(APActivity): Promise<string>} send Post an activity, resolving with its IRI
+   * @param  {function(): OutboxEntry[]} getEntries Persistent array to keep the queue in
+   */
+  constructor (send, getEntries) {
+    super()
+    this.#send = send
+    this.#getEntries = getEntries
+    this.#onOnline = () => this.flush()
+    globalThis.addEventListener?.('online', this.#onOnline)
+  }
+
+  /**
+   * Activities not yet sent, including those that have failed
+   * @type {OutboxEntry[]}
+   */
+  get entries () {
+    return this.#getEntries().map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Queue an activity and try to send it
+   * @param  {APActivity} activity
+   * @returns {Promise<(string|undefined)>} IRI of the activity if it could be sent right away,
+   * otherwise undefined and it will be retried, or sent once resumed if paused
+   * @throws {ImmersSessionExpiredError} If the user needs to log in again. The activity stays queued and is sent after they do
+   * @throws {Error} If the activity was rejected for a reason other than a network failure
+   */
+  async post (activity) {
+    const entries = this.#getEntries()
+    if (isLocationUpdate(activity)) {
+      // only the latest location matters
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (entries[i].status === 'pending' && entries[i].localId !== this.#inFlight && isLocationUpdate(entries[i].activity)) {
+          entries.splice(i, 1)
+        }
+      }
+    }
+    const entry = { localId: randomId(), activity, status: this.#paused ? 'paused' : 'pending', attempts: 0 }
+    entries.push(entry)
+    this.#publish(entry)
+    this.#rejections.set(entry.localId, undefined)
+    await this.flush()
+    const rejection = this.#rejections.get(entry.localId)
+    this.#rejections.delete(entry.localId)
+    if (rejection) {
+      this.discard(entry.localId)
+      throw rejection
+    }
+    const queued = entries.find(({ localId }) => localId === entry.localId)
+    if (queued?.status === 'paused' && this.#sessionExpired) {
+      throw this.#sessionExpired
+    }
+    return queued?.location ?? entry.location
+  }
+
+  /**
+   * Try sending pending activities now
+   * @returns {Promise}
+   */
+  flush () {
+    this.#flushing ??= this.#sendPending().finally(() => { this.#flushing = undefined })
+    return this.#flushing
+  }
+
+  /**
+   * Send a failed activity again
+   * @param  {string} localId
+   * @returns {Promise}
+   */
+  retry (localId) {
+    const entry = this.#getEntries().find(entry => entry.localId === localId)
+    if (entry?.status === 'failed') {
+      entry.status = this.#paused ? 'paused' : 'pending'
+      entry.attempts = 0
+      delete entry.error
+      this.#publish(entry)
+    }
+    return this.flush()
+  }
+
+  /**
+   * Stop sending, e.g. while the user is logged out. Queued activities are kept until {@link resume}
+   */
+  pause () {
+    this.#paused = true
+    globalThis.clearTimeout(this.#retryTimer)
+    this.#getEntries()
+      .filter(entry => entry.status === 'pending')
+      .forEach(entry => {
+        entry.status = 'paused'
+        this.#publish(entry)
+      })
+  }
+
+  /**
+   * Send paused activities, once the user has logged back in
+   * @returns {Promise}
+   */
+  resume () {
+    this.#paused = false
+    this.#sessionExpired = undefined
+    this.#getEntries()
+      .filter(entry => entry.status === 'paused')
+      .forEach(entry => {
+        entry.status = 'pending'
+        entry.attempts = 0
+        this.#publish(entry)
+      })
+    return this.flush()
+  }
+
+  /**
+   * Remove an activity from the queue without sending it
+   * @param  {string} localId
+   */
+  discard (localId) {
+    this.#rejections.delete(localId)
+    const entries = this.#getEntries()
+    const index = entries.findIndex(entry => entry.localId === localId)
+    if (index >= 0) {
+      entries.splice(index, 1)
+    }
+  }
+
+  /**
+   * Remove all queued activities
+   */
+  clear () {
+    this.#getEntries().splice(0)
+    globalThis.clearTimeout(this.#retryTimer)
+  }
+
+  /**
+   * Stop listening for network status changes
+   */
+  close () {
+    globalThis.removeEventListener?.('online', this.#onOnline)
+    globalThis.clearTimeout(this.#retryTimer)
+  }
+
+  async #sendPending () {
+    globalThis.clearTimeout(this.#retryTimer)
+    let entry
+    // sent in order, so stop at the first that needs retry
+    while ((entry = this.#getEntries().find(entry => entry.status === 'pending'))) {
+      if (globalThis.navigator?.onLine === false) {
+        // retried on 'online' event
+        return
+      }
+      this.#inFlight = entry.localId
+      entry.attempts++
+      try {
+        entry.location = await this.#send(entry.activity)
+        entry.status = 'sent'
+        this.discard(entry.localId)
+        this.#publish(entry)
+      } catch (err) {
+        if (err instanceof ImmersSessionExpiredError) {
+          // keep in order for after user logs back in
+          this.#sessionExpired = err
+          this.pause()
+          return
+        }
+        const retryable = err instanceof ImmersNetworkError ||
+          (err instanceof ImmersHTTPError && (err.status >= 500 || err.status === 429))
+        if (retryable && this.#paused) {
+          // disconnected while sending, already paused
+          return
+        }
+        if (retryable && entry.attempts < OutboxQueue.MaxAttempts) {
+          const delay = Math.min(OutboxQueue.RetryDelay * 2 ** (entry.attempts - 1), OutboxQueue.MaxRetryDelay)
+          this.#retryTimer = globalThis.setTimeout(() => this.flush(), delay)
+          return
+        }
+        entry.status = 'failed'
+        entry.error = err.message
+        if (!retryable && this.#rejections.has(entry.localId)) {
+          this.#rejections.set(entry.localId, err)
+        }
+        this.#publish(entry)
+      } finally {
+        this.#inFlight = undefined
+      }
+    }
+  }
+
+  #publish (entry) {
+    /**
+     * A queued activity has changed status
+     * @event immers-outbox-status
+     * @type {object}
+     * @property {OutboxEntry} detail
+     */
+    this.dispatchEvent(new environment.CustomEvent('immers-outbox-status', { detail: { ...entry } }))
+  }
+}
+
+function isLocationUpdate (activity) {
+  return activity.type === 'Arrive' || activity.type === 'Leave'
+}
+
+function randomId () {
+  return environment.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
@@ -0,0 +1,137 @@
+/**
+ * @typedef {object} Reaction
+ * @property {('like'|'share')} type Like (with an optional emoji) or Announce
+ * @property {string} objectId Object reacted to, matches {@link Message}.objectId
+ * @property {string} actorId User who reacted
+ * @property {string} [emoji] Reaction emoji for likes, {@link ReactionTally.DefaultEmoji} if not specified
+ * @property {boolean} undo The reaction was removed
+ * @property {string} [activityId] Id of the Like or Announce activity (the one undone, for undos)
+ */
+
+/**
+ * @typedef {object} ReactionCounts
+ * @property {Object<string, number>} reactions Number of likes for each reaction emoji
+ * @property {number} shares Number of users who shared it
+ */
+
+/**
+ * Aggregates Like and Announce activities, and Undos of them, into counts per object.
+ * Each user counts once per object, and only their most recent activity applies,
+ * so activities can be added in any order and more than once (e.g. from both paging and streaming).
+ * Repeats of an activity already counted are ignored. Undos may embed the undone activity
+ * or reference it by id, in which case they apply once that activity is added.
+ */
+export class ReactionTally {
+  static DefaultEmoji = '❤️'
+
+  // objectId -> actorId -> { active, emoji, time, activityId }
+  #likes = new Map()
+  #shares = new Map()
+  // activityId -> Like or Announce, to resolve undos by id
+  #activities = new Map()
+  // activityId -> Undo, for undos added before the activity they reference
+  #pendingUndos = new Map()
+
+  /**
+   * Count an activity if it is a reaction
+   * @param  {APActivity} activity
+   * @returns {(Reaction|undefined)} The reaction, or undefined if the activity is not a reaction
+   * or is not newer than the one already counted for that user
+   */
+  add (activity) {
+    if (activity.type === 'Undo' && typeof activity.object === 'string') {
+      const undone = this.#activities.get(activity.object)
+      if (!undone) {
+        this.#pendingUndos.set(activity.object, activity)
+        return
+      }
+      activity = { ...activity, object: undone }
+    }
+    const reaction = ReactionTally.ReactionFromActivity(activity)
+    if (!reaction) {
+      return
+    }
+    if (!reaction.undo && reaction.activityId) {
+      this.#activities.set(reaction.activityId, activity)
+      const undo = this.#pendingUndos.get(reaction.activityId)
+      if (undo) {
+        this.#pendingUndos.delete(reaction.activityId)
+        return this.add({ ...undo, object: activity })
+      }
+    }
+    const tally = reaction.type === 'like' ? this.#likes : this.#shares
+    if (!tally.has(reaction.objectId)) {
+      tally.set(reaction.objectId, new Map())
+    }
+    const byActor = tally.get(reaction.objectId)
+    const time = new Date(activity.published).getTime() || Date.now()
+    const previous = byActor.get(reaction.actorId)
+    // undos win ties, as an activity and its undo can be published within the same millisecond
+    if (previous && (previous.time > time || (previous.time === time && !reaction.undo))) {
+      return
+    }
+    byActor.set(reaction.actorId, { active: !reaction.undo, emoji: reaction.emoji, time, activityId: reaction.activityId })
+    return reaction
+  }
+
+  /**
+   * Id of a user's current Like or Announce of an object, e.g. to undo it
+   * @param  {('like'|'share')} type
+   * @param  {string} objectId
+   * @param  {string} actorId
+   * @returns {(string|undefined)} undefined if the user's reaction isn't known or has been removed
+   */
+  activityId (type, objectId, actorId) {
+    const entry = (type === 'like' ? this.#likes : this.#shares).get(objectId)?.get(actorId)
+    return entry?.active ? entry.activityId : undefined
+  }
+
+  /**
+   * @param  {string} objectId
+   * @returns {ReactionCounts}
+   */
+  counts (objectId) {
+    const reactions = {}
+    for (const { active, emoji } of this.#likes.get(objectId)?.values() ?? []) {
+      if (active) {
+        reactions[emoji] = (reactions[emoji] ?? 0) + 1
+      }
+    }
+    let shares = 0
+    for (const { active } of this.#shares.get(objectId)?.values() ?? []) {
+      if (active) {
+        shares++
+      }
+    }
+    return { reactions, shares }
+  }
+
+  clear () {
+    this.#likes.clear()
+    this.#shares.clear()
+    this.#activities.clear()
+    this.#pendingUndos.clear()
+  }
+
+  /**
+   * @param  {APActivity} activity
+   * @returns {(Reaction|undefined)}
+   */
+  static ReactionFromActivity (activity) {
+    const undo = activity.type === 'Undo'
+    const reacted = undo ? activity.object : activity
+    const type = { Like: 'like', Announce: 'share' }[reacted?.type]
+    const objectId = reacted?.object?.id ?? reacted?.object
+    if (!type || typeof objectId !== 'string') {
+      return
+    }
+    return {
+      type,
+      objectId,
+      actorId: activity.actor?.id ?? activity.actor,
+      emoji: type === 'like' ? reacted.content || ReactionTally.DefaultEmoji : undefined,
+      undo,
+      activityId: reacted.id
+    }
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * @typedef {object} CaptureOptions
+ * @property {function(): void} [render] Draw the frame to capture. WebGL canvases are cleared after each frame
+ * is displayed unless created with preserveDrawingBuffer, so capture needs to happen right after rendering,
+ * e.g. () => renderer.render(scene, camera)
+ * @property {string} [type='image/png'] Image MIME type, e.g. 'image/webp'. Browsers that can't encode it use PNG instead
+ * @property {number} [quality] Encoding quality from 0 to 1 for lossy formats
+ * @property {number} [maxDimension=2048] Images larger than this in width or height are scaled down
+ * @property {number} [maxBytes=5242880] Images are scaled down further until they are smaller than this
+ */
+
+const SCALE_STEP = 0.75
+const MIN_DIMENSION = 64
+
+/**
+ * Capture the contents of a WebGL or 2D canvas as an image file
+ * @param  {(HTMLCanvasElement|OffscreenCanvas)} canvas
+ * @param  {CaptureOptions} [options]
+ * @returns {Promise<Blob>}
+ * @throws {Error} If the image can't be made small enough
+ */
+export async function captureCanvas (canvas, { render, type = 'image/png', quality, maxDimension = 2048, maxBytes = 5 * 1024 * 1024 } = {}) {
+  // copy synchronously after rendering, before the drawing buffer can be cleared
+  render?.()
+  let image = copyCanvas(canvas, Math.min(1, maxDimension / Math.max(canvas.width, canvas.height)))
+  for (;;) {
+    const blob = await encodeCanvas(image, type, quality)
+    if (blob.size <= maxBytes) {
+      return blob
+    }
+    if (Math.max(image.width, image.height) * SCALE_STEP < MIN_DIMENSION) {
+      throw new Error(`Screenshot is larger than ${maxBytes} bytes`)
+    }
+    image = copyCanvas(image, SCALE_STEP)
+  }
+}
+
+function copyCanvas (source, scale) {
+  const width = Math.max(1, Math.round(source.width * scale))
+  const height = Math.max(1, Math.round(source.height * scale))
+  const copy = createCanvas(width, height)
+  copy.getContext('2d').drawImage(source, 0, 0, width, height)
+  return copy
+}
+
+function createCanvas (width, height) {
+  if (globalThis.OffscreenCanvas) {
+    return new globalThis.OffscreenCanvas(width, height)
+  }
+  if (!globalThis.document) {
+    throw new Error('Canvas capture requires OffscreenCanvas or a DOM')
+  }
+  const canvas = globalThis.document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+function encodeCanvas (canvas, type, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality })
+  }
+  return new Promise((resolve, reject) => canvas.toBlob(
+    blob => blob ? resolve(blob) : reject(new Error('Unable to encode canvas image')),
+    type,
+    quality
+  ))
+}
@@ -0,0 +1,115 @@
+import { environment } from './environment.js'
+
+/**
+ * Interface for persisting {@link ImmersClient} data. Methods may be synchronous or return promises,
+ * so you can provide your own adapter, e.g. to store data via an embedded webview's native bridge.
+ * Values are plain, JSON-compatible objects; adapters handle any serialization needed.
+ * @typedef {object} StorageAdapter
+ * @property {function(string): (object|undefined|Promise<(object|undefined)>)} getItem Retrieve the value saved for a key
+ * @property {function(string, object): (void|Promise<void>)} setItem Save a value for a key
+ * @property {function(string): (void|Promise<void>)} removeItem Delete the value for a key
+ * @property {function(): (void|Promise<void>)} [clear] Delete all values, if the storage is not shared with other data
+ */
+
+/**
+ * Non-persistent storage, data is lost when the page is closed
+ * @returns {StorageAdapter}
+ */
+export function memoryStorage () {
+  const items = new Map()
+  return {
+    getItem: key => items.get(key),
+    setItem: (key, value) => { items.set(key, value) },
+    removeItem: key => { items.delete(key) },
+    clear: () => { items.clear() }
+  }
+}
+
+/**
+ * Storage in localStorage (persistent) or sessionStorage (cleared when the tab closes)
+ * @param  {Storage} storage
+ * @returns {StorageAdapter}
+ */
+export function webStorage (storage) {
+  return {
+    getItem: key => {
+      try {
+        return JSON.parse(storage.getItem(key)) ?? undefined
+      } catch {
+        return undefined
+      }
+    },
+    setItem: (key, value) => storage.setItem(key, JSON.stringify(value)),
+    removeItem: key => storage.removeItem(key)
+  }
+}
+
+/**
+ * Persistent storage in an IndexedDB object store
+ * @param  {string} [dbName='immers-client']
+ * @param  {string} [storeName='store']
+ * @returns {StorageAdapter}
+ */
+export function indexedDBStorage (dbName = 'immers-client', storeName = 'store') {
+  let db
+  const transact = (mode, operation) => {
+    db ??= openIndexedDB(dbName, storeName)
+    return db.then(database => new Promise((resolve, reject) => {
+      const request = operation(database.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }))
+  }
+  return {
+    getItem: key => transact('readonly', objectStore => objectStore.get(key)),
+    setItem: (key, value) => transact('readwrite', objectStore => objectStore.put(value, key)),
+    removeItem: key => transact('readwrite', objectStore => objectStore.delete(key)),
+    clear: () => transact('readwrite', objectStore => objectStore.clear())
+  }
+}
+
+/**
+ * Open (creating if needed) a database with a single object store
+ * @param  {string} dbName
+ * @param  {string} storeName
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openIndexedDB (dbName, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = requireAPI('indexedDB').open(dbName, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Get a storage adapter from its name, or pass through a custom adapter
+ * @param  {('memory'|'session'|'local'|'indexeddb'|StorageAdapter)} storage
+ * @returns {StorageAdapter}
+ */
+export function resolveStorage (storage) {
+  if (typeof storage === 'object') {
+    return storage
+  }
+  switch (storage) {
+    case 'local':
+      return webStorage(requireAPI('localStorage'))
+    case 'session':
+      return webStorage(requireAPI('sessionStorage'))
+    case 'indexeddb':
+      return indexedDBStorage()
+    case 'memory':
+    case undefined:
+      return memoryStorage()
+    default:
+      throw new Error(`Unknown storage type ${storage}`)
+  }
+}
+
+function requireAPI (name) {
+  if (!environment[name]) {
+    throw new Error(`${name} is not available in this environment, provide it with configureEnvironment`)
+  }
+  return environment[name]
+}
@@ -1,26 +1,288 @@
+import { environment } from './environment.js'
+import { indexedDBStorage } from './storage.js'
+
 export const IMMERS_STORE_KEY = '_immers_client_store'
+export const IMMERS_PENDING_LOGIN_KEY = '_immers_client_pending_login'
+export const STORE_VERSION = 3
 
-// keeps in-memory store syncrhonized with localStorage via proxy.
-// Does not yet support deep assignments
-export function createStore (persistInLocalStorage) {
-  if (!persistInLocalStorage) {
-    return {}
+// migrations[n] upgrades stored data from version n + 1 to n + 2
+const migrations = [
+  // v1 -> v2: the single saved credential becomes the first of multiple saved accounts
+  data => {
+    if (data.credential && data.handle && !data.accounts) {
+      data.accounts = { [data.handle]: { credential: data.credential } }
+    }
+    return data
+  },
+  // v2 -> v3: actors are now kept in the object cache, which expires
+  data => {
+    delete data.cachedActors
+    return data
   }
-  let storeTemp
-  try {
-    storeTemp = JSON.parse(window.localStorage.getItem(IMMERS_STORE_KEY) || '{}')
-  } catch {
-    storeTemp = {}
+]
+
+const storeControls = new WeakMap()
+
+/**
+ * Keeps an in-memory store synchronized with a storage adapter via proxy,
+ * including nested assignments and deletions. Stored data is loaded asynchronously;
+ * wait for {@link storeReady} before reading. Writes made while loading take precedence over loaded data.
+ * @param  {StorageAdapter} adapter
+ * @param  {string} [namespace] Separates data for different local immers on the same origin
+ * @returns {object}
+ */
+export function createStore (adapter, namespace) {
+  const key = namespace ? `${IMMERS_STORE_KEY}:${namespace}` : IMMERS_STORE_KEY
+  const data = {}
+  let persistQueued = false
+  let writes = Promise.resolve()
+  // batch all updates made in the same tick into one write
+  const persist = () => {
+    if (persistQueued) {
+      return
+    }
+    persistQueued = true
+    globalThis.queueMicrotask(() => {
+      persistQueued = false
+      // snapshot also unwraps proxies & drops undefined values
+      const snapshot = JSON.parse(JSON.stringify(data))
+      writes = writes
+        .then(() => adapter.setItem(key, { version: STORE_VERSION, data: snapshot }))
+        .catch(err => console.warn(`Unable to save immers client data: ${err.message}`))
+    })
   }
-  return new Proxy(storeTemp, {
+  const proxies = new WeakMap()
+  const handler = {
+    get (target, property) {
+      const value = target[property]
+      if (value && typeof value === 'object') {
+        if (!proxies.has(value)) {
+          proxies.set(value, new Proxy(value, handler))
+        }
+        return proxies.get(value)
+      }
+      return value
+    },
     set (target, property, value) {
       target[property] = value
-      window.localStorage.setItem(IMMERS_STORE_KEY, JSON.stringify(target))
+      persist()
+      return true
+    },
+    deleteProperty (target, property) {
+      delete target[property]
+      persist()
       return true
     }
-  })
+  }
+  const store = new Proxy(data, handler)
+  const ready = loadStoreData(adapter, key, namespace)
+    .then(({ loaded, migrated }) => {
+      const writtenWhileLoading = Object.keys(data).length > 0
+      Object.assign(data, { ...loaded, ...data })
+      if (migrated || writtenWhileLoading) {
+        persist()
+      }
+    })
+    .catch(err => console.warn(`Unable to load immers client data: ${err.message}`))
+  // wait for updates queued in this tick to be written
+  const flush = () => Promise.resolve().then(() => writes)
+  const reload = () => Promise.all([ready, flush()])
+    .then(() => loadStoreData(adapter, key))
+    .then(({ loaded }) => {
+      // replace contents without triggering persist
+      Object.keys(data).forEach(property => { delete data[property] })
+      Object.assign(data, loaded)
+    })
+    .catch(err => console.warn(`Unable to reload immers client data: ${err.message}`))
+  storeControls.set(store, { ready, flush, reload })
+  return store
+}
+
+/**
+ * @param  {object} store
+ * @returns {Promise} Resolves once the store has loaded any saved data
+ */
+export function storeReady (store) {
+  return storeControls.get(store).ready
+}
+
+/**
+ * @param  {object} store
+ * @returns {Promise} Resolves once all updates made so far have been saved
+ */
+export function flushStore (store) {
+  return storeControls.get(store).flush()
+}
+
+/**
+ * Replace store contents with the latest saved data, e.g. after it was changed by another tab
+ * @param  {object} store
+ * @returns {Promise}
+ */
+export function reloadStore (store) {
+  return storeControls.get(store).reload()
+}
+
+async function loadStoreData (adapter, key, namespace) {
+  let stored = await adapter.getItem(key)
+  if (!stored && namespace) {
+    // adopt data saved before stores were namespaced by local immer
+    const legacy = await adapter.getItem(IMMERS_STORE_KEY)
+    if (legacy && !legacy.version) {
+      stored = legacy
+      await adapter.removeItem(IMMERS_STORE_KEY)
+    }
+  }
+  if (!stored) {
+    return { loaded: {}, migrated: false }
+  }
+  // unversioned data is from version 1
+  let version = stored.version ?? 1
+  let loaded = stored.version ? stored.data : stored
+  const migrated = version < STORE_VERSION
+  while (version < STORE_VERSION) {
+    loaded = migrations[version - 1](loaded)
+    version++
+  }
+  return { loaded, migrated }
 }
 
 export function clearStore (store) {
-  Object.keys(store).forEach(key => { store[key] = undefined })
+  Object.keys(store).forEach(key => { delete store[key] })
+}
+
+const CREDENTIAL_KEY_ID = 'credential-key'
+
+/**
+ * Wraps a storage adapter so that saved credentials (access tokens) are encrypted with a
+ * non-extractable AES-GCM key kept in IndexedDB. The raw key can't be read out, so a token
+ * can't be lifted directly from storage. Other store data is saved unencrypted.
+ * @param  {StorageAdapter} adapter
+ * @param  {string} [keyDBName='immers-client-keys'] IndexedDB database for the encryption key
+ * @returns {StorageAdapter} Adapter with an additional wipeKey method to delete the key; anything
+ * still saved is re-encrypted with a new key on the next write
+ */
+export function encryptCredentials (adapter, keyDBName = 'immers-client-keys') {
+  const keyStorage = indexedDBStorage(keyDBName, 'keys')
+  let keyChange = Promise.resolve()
+  let key
+  const getKey = () => {
+    key ??= keyChange.then(() => loadOrCreateKey(keyStorage))
+    return key
+  }
+  return {
+    async getItem (storeKey) {
+      const stored = await adapter.getItem(storeKey)
+      if (!stored?.data) {
+        return stored
+      }
+      // copied so the adapter's saved value keeps the encrypted credentials
+      return {
+        ...stored,
+        data: await mapCredentials(stored.data, async credential => {
+          if (!credential.encrypted) {
+            // saved before encryption was enabled, will be encrypted on next write
+            return credential
+          }
+          return decryptJSON(await getKey(), credential.encrypted)
+            .catch(() => {
+              // key may have been replaced by another tab
+              key = undefined
+              return getKey().then(newKey => decryptJSON(newKey, credential.encrypted))
+            })
+            .catch(err => console.warn(`Unable to decrypt saved credential: ${err.message}`))
+        })
+      }
+    },
+    async setItem (storeKey, value) {
+      const data = await mapCredentials(value.data, async credential => ({
+        encrypted: await encryptJSON(await getKey(), credential)
+      }))
+      return adapter.setItem(storeKey, { ...value, data })
+    },
+    removeItem: storeKey => adapter.removeItem(storeKey),
+    wipeKey () {
+      key = undefined
+      keyChange = keyChange
+        .then(() => keyStorage.removeItem(CREDENTIAL_KEY_ID))
+        .catch(err => console.warn(`Unable to delete credential key: ${err.message}`))
+      return keyChange
+    }
+  }
+}
+
+// apply an async transform to the active credential and those of saved accounts,
+// removing any that transform to undefined
+async function mapCredentials (data, transform) {
+  const mapped = { ...data }
+  if (data.credential) {
+    mapped.credential = await transform(data.credential)
+    if (!mapped.credential) {
+      delete mapped.credential
+    }
+  }
+  if (data.accounts) {
+    mapped.accounts = {}
+    for (const [handle, account] of Object.entries(data.accounts)) {
+      const credential = account.credential && await transform(account.credential)
+      if (credential) {
+        mapped.accounts[handle] = { ...account, credential }
+      }
+    }
+  }
+  return mapped
+}
+
+async function loadOrCreateKey (keyStorage) {
+  let key = await keyStorage.getItem(CREDENTIAL_KEY_ID)
+  if (!key) {
+    key = await environment.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+    await keyStorage.setItem(CREDENTIAL_KEY_ID, key)
+  }
+  return key
+}
+
+async function encryptJSON (key, value) {
+  const iv = environment.crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await environment.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  )
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(ciphertext)) }
+}
+
+async function decryptJSON (key, { iv, ciphertext }) {
+  const plaintext = await environment.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(ciphertext)
+  )
+  return JSON.parse(new TextDecoder().decode(plaintext))
+}
+
+function bytesToBase64 (bytes) {
+  return globalThis.btoa(String.fromCharCode(...bytes))
+}
+
+function base64ToBytes (base64) {
+  return Uint8Array.from(globalThis.atob(base64), char => char.charCodeAt(0))
+}
+
+// state for a redirect-mode login is kept in sessionStorage so it survives
+// the round-trip to the authorization server but stays scoped to this tab
+export function loadPendingLogin () {
+  try {
+    return JSON.parse(environment.sessionStorage?.getItem(IMMERS_PENDING_LOGIN_KEY))
+  } catch {
+    return null
+  }
+}
+
+export function savePendingLogin (pending) {
+  environment.sessionStorage?.setItem(IMMERS_PENDING_LOGIN_KEY, JSON.stringify(pending))
+}
+
+export function clearPendingLogin () {
+  environment.sessionStorage?.removeItem(IMMERS_PENDING_LOGIN_KEY)
 }
@@ -1,6 +1,7 @@
+import { environment } from './environment.js'
 import io from 'socket.io-client'
 
-export class ImmersSocket extends window.EventTarget {
+export class ImmersSocket extends globalThis.EventTarget {
   #token
   /**
    * Is the socket connection active
@@ -26,18 +27,18 @@ export class ImmersSocket extends window.EventTarget {
     })
     this.socket.on('connect', () => {
       this.connected = true
-      this.dispatchEvent(new window.CustomEvent('immers-socket-connect'))
+      this.dispatchEvent(new environment.CustomEvent('immers-socket-connect'))
     })
     this.socket.on('friends-update', () => {
-      this.dispatchEvent(new window.CustomEvent('immers-socket-friends-update'))
+      this.dispatchEvent(new environment.CustomEvent('immers-socket-friends-update'))
     })
     this.socket.on('inbox-update', activity => {
       activity = JSON.parse(activity)
-      this.dispatchEvent(new window.CustomEvent('immers-socket-inbox-update', { detail: activity }))
+      this.dispatchEvent(new environment.CustomEvent('immers-socket-inbox-update', { detail: activity }))
     })
     this.socket.on('outbox-update', activity => {
       activity = JSON.parse(activity)
-      this.dispatchEvent(new window.CustomEvent('immers-socket-outbox-update', { detail: activity }))
+      this.dispatchEvent(new environment.CustomEvent('immers-socket-outbox-update', { detail: activity }))
     })
   }
 
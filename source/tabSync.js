@@ -0,0 +1,75 @@
+import { environment } from './environment.js'
+import { IMMERS_STORE_KEY } from './store.js'
+
+/**
+ * Relays session changes between browser tabs of the same origin sharing a client store.
+ * Uses BroadcastChannel, or the localStorage storage event where that's unavailable.
+ * Messages are only notifications; tabs read the updated session from their store.
+ */
+export class TabSync extends globalThis.EventTarget {
+  #channel
+  #storageKey
+  #onStorage
+  /**
+   * @param  {string} [namespace] Same namespace as the client store
+   */
+  constructor (namespace) {
+    super()
+    const name = namespace ? `${IMMERS_STORE_KEY}:${namespace}` : IMMERS_STORE_KEY
+    if (environment.BroadcastChannel) {
+      this.#channel = new environment.BroadcastChannel(name)
+      this.#channel.onmessage = ({ data }) => this.#receive(data)
+      // don't keep Node.js processes alive
+      this.#channel.unref?.()
+      return
+    }
+    this.#storageKey = `${name}:sync`
+    this.#onStorage = ({ key, newValue }) => {
+      if (key !== this.#storageKey || !newValue) {
+        return
+      }
+      try {
+        this.#receive(JSON.parse(newValue).message)
+      } catch (err) {
+        console.warn(`Invalid tab sync message: ${err.message}`)
+      }
+    }
+    globalThis.addEventListener?.('storage', this.#onStorage)
+  }
+
+  /**
+   * Notify other tabs
+   * @param  {object} message
+   * @param  {string} message.type
+   */
+  post (message) {
+    if (this.#channel) {
+      this.#channel.postMessage(message)
+      return
+    }
+    try {
+      // nonce ensures an event fires even if the message is repeated
+      environment.localStorage?.setItem(this.#storageKey, JSON.stringify({ message, nonce: Math.random() }))
+      environment.localStorage?.removeItem(this.#storageKey)
+    } catch (err) {
+      console.warn(`Unable to sync tabs: ${err.message}`)
+    }
+  }
+
+  close () {
+    this.#channel?.close()
+    if (this.#onStorage) {
+      globalThis.removeEventListener?.('storage', this.#onStorage)
+    }
+  }
+
+  #receive (message) {
+    /**
+     * Another tab changed the session
+     * @event immers-tab-sync-message
+     * @type {object}
+     * @property {string} detail.type
+     */
+    this.dispatchEvent(new environment.CustomEvent('immers-tab-sync-message', { detail: message }))
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @typedef {object} ParsedMention
+ * @property {string} text Mention as written, e.g. @username[home.immer] or @username@home.immer
+ * @property {string} handle Immers handle, username[home.immer]
+ */
+
+// @username[home.immer] or @username@home.immer, the latter requires a dot in the domain to exclude trailing punctuation
+const mentionReg = /(^|[^\w@[\]])@([\w.-]+)(?:\[([\w.-]+(?::\d+)?)\]|@([\w-]+(?:\.[\w-]+)+(?::\d+)?))/g
+// excludes HTML entities (&#39;) and url fragments
+const hashtagReg = /(^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu
+
+/**
+ * Find Immers handle mentions and #hashtags in the text of an HTML message.
+ * Markup and existing links are ignored
+ * @param  {string} html
+ * @returns {{mentions: ParsedMention[], hashtags: string[]}} Unique mentions and hashtag names (without #)
+ */
+export function parseTags (html) {
+  const mentions = new Map()
+  const hashtags = new Set()
+  eachText(html, text => {
+    for (const [, , username, bracketImmer, atImmer] of text.matchAll(mentionReg)) {
+      const handle = `${username}[${bracketImmer ?? atImmer}]`
+      mentions.set(handle, { text: `@${username}${bracketImmer ? `[${bracketImmer}]` : `@${atImmer}`}`, handle })
+    }
+    for (const [, , name] of text.matchAll(hashtagReg)) {
+      hashtags.add(name)
+    }
+    return text
+  })
+  return { mentions: Array.from(mentions.values()), hashtags: Array.from(hashtags) }
+}
+
+/**
+ * Replace mentions and #hashtags in the text of an HTML message with links
+ * @param  {string} html
+ * @param  {object} links
+ * @param  {Object<string, string>} links.mentions Link for each mentioned handle (username[home.immer]), others are not linked
+ * @param  {function(string): string} links.hashtag Link for a hashtag name
+ * @returns {string}
+ */
+export function linkTags (html, { mentions, hashtag }) {
+  // hashtag links don't contain mentions, so they can be added first without the mention links being matched
+  return eachText(html, text => text
+    .replace(hashtagReg, (match, prefix, name) => {
+      return `${prefix}<a href="${escapeAttribute(hashtag(name))}" class="hashtag" rel="tag">#${name}</a>`
+    })
+    .replace(mentionReg, (match, prefix, username, bracketImmer, atImmer) => {
+      const href = mentions[`${username}[${bracketImmer ?? atImmer}]`]
+      return href
+        ? `${prefix}<a href="${escapeAttribute(href)}" class="mention">${match.slice(prefix.length)}</a>`
+        : match
+    })
+  )
+}
+
+// apply a transform to text outside of tags and links
+function eachText (html, transform) {
+  let linkDepth = 0
+  return html.split(/(<[^>]*>)/).map(part => {
+    if (part.startsWith('<')) {
+      if (/^<a[\s>]/i.test(part)) {
+        linkDepth++
+      } else if (/^<\/a\s*>/i.test(part)) {
+        linkDepth = Math.max(0, linkDepth - 1)
+      }
+      return part
+    }
+    return linkDepth ? part : transform(part)
+  }).join('')
+}
+
+function escapeAttribute (value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+}
@@ -0,0 +1,261 @@
+import { environment } from './environment.js'
+import { ImmersNetworkError } from './errors.js'
+
+/**
+ * @typedef {object} TransportRequest
+ * @property {string} url
+ * @property {string} method Uppercase HTTP method
+ * @property {object} headers Header names (lowercase) and values
+ * @property {*} [body] Any fetch body type
+ * @property {number} timeout Milliseconds before the request is aborted, 0 for none
+ * @property {AbortSignal} [signal] Caller's abort signal
+ * @property {function(UploadProgress): void} [onUploadProgress] Upload progress callback
+ */
+
+/**
+ * @typedef {object} UploadProgress
+ * @property {number} loaded Bytes sent
+ * @property {number} total Total bytes to send
+ */
+
+/**
+ * Request interceptor, may modify the request or return a new one
+ * @callback RequestInterceptor
+ * @param  {TransportRequest} request
+ * @returns {(TransportRequest|void|Promise<(TransportRequest|void)>)}
+ */
+
+/**
+ * Response interceptor, may return a replacement response
+ * @callback ResponseInterceptor
+ * @param  {Response} response
+ * @param  {TransportRequest} request
+ * @returns {(Response|void|Promise<(Response|void)>)}
+ */
+
+// responses worth retrying for idempotent requests
+const RETRY_STATUSES = [408, 429, 502, 503, 504]
+
+/**
+ * HTTP transport for all requests made by immers-client, with timeouts,
+ * retries for idempotent requests, and interceptors for adding headers, logging, metrics, etc.
+ * @example
+ * import { transport } from 'immers-client'
+ * transport.useRequest(request => {
+ *   request.headers['x-request-id'] = crypto.randomUUID()
+ * })
+ * transport.useResponse((response, request) => {
+ *   console.debug(request.method, request.url, response.status)
+ * })
+ */
+export class Transport {
+  /**
+   * Default milliseconds before a request is aborted
+   * @type {number}
+   */
+  timeout
+  /**
+   * Default number of times to retry idempotent requests (GET/HEAD) after
+   * network failures or temporary server errors
+   * @type {number}
+   */
+  retries
+  /**
+   * Milliseconds before the first retry, doubled after each attempt
+   * @type {number}
+   */
+  retryDelay
+  #requestInterceptors = []
+  #responseInterceptors = []
+  /**
+   * @param  {object} [options]
+   * @param  {number} [options.timeout=30000]
+   * @param  {number} [options.retries=2]
+   * @param  {number} [options.retryDelay=500]
+   */
+  constructor ({ timeout = 30000, retries = 2, retryDelay = 500 } = {}) {
+    this.timeout = timeout
+    this.retries = retries
+    this.retryDelay = retryDelay
+  }
+
+  /**
+   * Add a request interceptor, run in the order added before each request (once, not per retry)
+   * @param  {RequestInterceptor} interceptor
+   * @returns {function(): void} Call to remove the interceptor
+   */
+  useRequest (interceptor) {
+    this.#requestInterceptors.push(interceptor)
+    return () => remove(this.#requestInterceptors, interceptor)
+  }
+
+  /**
+   * Add a response interceptor, run in the order added after each request completes
+   * @param  {ResponseInterceptor} interceptor
+   * @returns {function(): void} Call to remove the interceptor
+   */
+  useResponse (interceptor) {
+    this.#responseInterceptors.push(interceptor)
+    return () => remove(this.#responseInterceptors, interceptor)
+  }
+
+  /**
+   * Make a request. Like fetch, unsuccessful HTTP responses are returned rather than thrown
+   * @param  {(string|URL)} url
+   * @param  {object} [options] Options for fetch, plus:
+   * @param  {number} [options.timeout] Override default timeout
+   * @param  {number} [options.retries] Override default retries. Requests other than GET/HEAD are only retried if set
+   * @param  {function(UploadProgress): void} [options.onUploadProgress] Follow the progress of sending the request body.
+   * Reported as it's sent where XMLHttpRequest is available, otherwise only once the request completes
+   * @returns {Promise<Response>}
+   * @throws {ImmersNetworkError} On network failure or timeout
+   */
+  async fetch (url, { timeout = this.timeout, retries, ...init } = {}) {
+    const method = (init.method ?? 'GET').toUpperCase()
+    let request = {
+      ...init,
+      url: url.toString(),
+      method,
+      headers: Object.fromEntries(new globalThis.Headers(init.headers)),
+      timeout
+    }
+    for (const intercept of this.#requestInterceptors) {
+      request = (await intercept(request)) ?? request
+    }
+    const idempotent = method === 'GET' || method === 'HEAD'
+    const maxRetries = retries ?? (idempotent ? this.retries : 0)
+    let response
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < maxRetries
+      try {
+        response = await this.#send(request)
+      } catch (err) {
+        if (canRetry && !request.signal?.aborted) {
+          await wait(this.retryDelay * 2 ** attempt)
+          continue
+        }
+        throw err
+      }
+      if (canRetry && RETRY_STATUSES.includes(response.status)) {
+        // release the connection of the discarded response
+        await response.body?.cancel()
+        await wait(this.retryDelay * 2 ** attempt)
+        continue
+      }
+      break
+    }
+    for (const intercept of this.#responseInterceptors) {
+      response = (await intercept(response, request)) ?? response
+    }
+    return response
+  }
+
+  async #send ({ url, timeout, signal, onUploadProgress, ...init }) {
+    if (onUploadProgress && environment.XMLHttpRequest) {
+      return sendXHR({ url, timeout, signal, onUploadProgress, ...init })
+    }
+    const controller = new globalThis.AbortController()
+    const abort = () => controller.abort()
+    let timedOut = false
+    const timer = timeout && globalThis.setTimeout(() => {
+      timedOut = true
+      abort()
+    }, timeout)
+    signal?.addEventListener('abort', abort)
+    try {
+      const response = await environment.fetch(url, { ...init, signal: controller.signal })
+      if (onUploadProgress) {
+        const total = bodySize(init.body)
+        onUploadProgress({ loaded: total, total })
+      }
+      return response
+    } catch (err) {
+      if (signal?.aborted) {
+        throw err
+      }
+      const message = timedOut
+        ? `${init.method} ${url} timed out after ${timeout}ms`
+        : `${init.method} ${url} failed: ${err.message}`
+      throw new ImmersNetworkError(message, { iri: url, method: init.method, timedOut, cause: err })
+    } finally {
+      globalThis.clearTimeout(timer)
+      signal?.removeEventListener('abort', abort)
+    }
+  }
+}
+
+/**
+ * Shared transport instance used for all immers-client requests
+ * @type {Transport}
+ */
+export const transport = new Transport()
+
+function remove (list, item) {
+  const index = list.indexOf(item)
+  if (index >= 0) {
+    list.splice(index, 1)
+  }
+}
+
+// fetch can't report upload progress, so use XMLHttpRequest and convert its response
+function sendXHR ({ url, method, headers, body, timeout, signal, onUploadProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new environment.XMLHttpRequest()
+    xhr.open(method, url)
+    xhr.responseType = 'blob'
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+    xhr.upload.addEventListener('progress', ({ loaded, total }) => onUploadProgress({ loaded, total }))
+    let timedOut = false
+    const abort = () => xhr.abort()
+    const timer = timeout && globalThis.setTimeout(() => {
+      timedOut = true
+      abort()
+    }, timeout)
+    signal?.addEventListener('abort', abort)
+    const cleanup = () => {
+      globalThis.clearTimeout(timer)
+      signal?.removeEventListener('abort', abort)
+    }
+    const fail = reason => {
+      cleanup()
+      if (signal?.aborted) {
+        return reject(new globalThis.DOMException('The operation was aborted', 'AbortError'))
+      }
+      const message = timedOut ? `${method} ${url} timed out after ${timeout}ms` : `${method} ${url} ${reason}`
+      reject(new ImmersNetworkError(message, { iri: url, method, timedOut }))
+    }
+    xhr.addEventListener('load', () => {
+      cleanup()
+      const responseHeaders = new globalThis.Headers()
+      xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+        const separator = line.indexOf(':')
+        responseHeaders.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim())
+      })
+      // null body statuses can't be constructed with a body
+      const nullBody = [101, 204, 205, 304].includes(xhr.status)
+      const response = new globalThis.Response(nullBody ? null : xhr.response, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: responseHeaders
+      })
+      // can't be set by the constructor, but error reporting relies on it like fetch responses
+      Object.defineProperty(response, 'url', { value: xhr.responseURL || url })
+      resolve(response)
+    })
+    xhr.addEventListener('error', () => fail('failed'))
+    xhr.addEventListener('abort', () => fail('was aborted'))
+    xhr.send(body)
+  })
+}
+
+// approximate size of a request body, for reporting progress
+function bodySize (body) {
+  if (body instanceof globalThis.FormData) {
+    return Array.from(body.values()).reduce((size, value) => size + bodySize(value), 0)
+  }
+  return body?.size ?? body?.byteLength ?? (body ? String(body).length : 0)
+}
+
+function wait (ms) {
+  return new Promise(resolve => globalThis.setTimeout(resolve, ms))
+}
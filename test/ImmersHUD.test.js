@@ -0,0 +1,69 @@
+/**
+ * @jest-environment ./test/jsdomEnvironment.cjs
+ */
+/* eslint-env jest */
+import { ImmersHUD } from '../source/ImmersHUD/ImmersHUD.js'
+import { MockImmersServer } from './mockImmersServer.js'
+
+ImmersHUD.Register()
+
+describe('ImmersHUD', () => {
+  let server
+  let hud
+
+  beforeEach(async () => {
+    server = new MockImmersServer({ users: ['tester', 'friend'] })
+    await server.start()
+    hud = document.createElement('immers-hud')
+    hud.setAttribute('destination-name', 'Test Destination')
+    hud.setAttribute('destination-url', 'https://destination.example/')
+    hud.setAttribute('token-catcher', 'https://destination.example/')
+    hud.setAttribute('access-role', 'friends')
+    document.body.append(hud)
+    await hud.immersClient.redirectLoginComplete
+  })
+
+  afterEach(async () => {
+    hud.immersClient.disconnect()
+    hud.remove()
+    await server.stop()
+  })
+
+  const el = id => hud.shadowRoot.getElementById(id)
+
+  test('renders the login form', () => {
+    expect(el('login-container').classList.contains('removed')).toBe(false)
+    expect(el('status-container').classList.contains('removed')).toBe(true)
+    expect(el('handle-input')).not.toBeNull()
+  })
+
+  test('toggles open when the logo is clicked', () => {
+    el('logo').click()
+    expect(hud.getAttribute('open')).toBe('true')
+    el('logo').click()
+    expect(hud.getAttribute('open')).toBe('false')
+  })
+
+  test('shows profile and friends status once connected', async () => {
+    server.updateFriend('tester', { type: 'Arrive', actor: server.user('friend').actor.id, target: { name: 'Elsewhere', url: 'https://elsewhere.example/' } })
+    server.updateFriend('tester', { type: 'Leave', actor: server.addUser('other').actor.id, target: { name: 'Elsewhere', url: 'https://elsewhere.example/' } })
+    const connected = new Promise(resolve => hud.addEventListener('immers-hud-connected', resolve, { once: true }))
+    const friendsUpdate = new Promise(resolve => hud.immersClient.addEventListener('immers-client-friends-update', resolve, { once: true }))
+    await hud.immersClient.loginWithToken(server.issueToken('tester'), server.origin, '*')
+    const { detail: { profile } } = await connected
+    expect(profile.username).toBe('tester')
+    expect(el('login-container').classList.contains('removed')).toBe(true)
+    expect(el('status-container').classList.contains('removed')).toBe(false)
+    expect(el('username').textContent).toBe('tester')
+    await friendsUpdate
+    expect(el('status-message').textContent).toBe('1/2 friends online')
+    expect(hud.friends).toHaveLength(2)
+  })
+
+  test('returns to the login form on logout', async () => {
+    await hud.immersClient.loginWithToken(server.issueToken('tester'), server.origin, '*')
+    el('logout').click()
+    expect(el('login-container').classList.contains('removed')).toBe(false)
+    expect(el('username').textContent).toBe('')
+  })
+})
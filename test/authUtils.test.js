@@ -0,0 +1,122 @@
+/* eslint-env jest */
+import { createHash } from 'crypto'
+import { jest } from '@jest/globals'
+import { configureEnvironment, discoverOAuthEndpoints, exchangeCode, ImmersAuthError, tokenToActor } from '../node.js'
+import { MockImmersServer } from './mockImmersServer.js'
+
+describe('OAuth with MockImmersServer', () => {
+  const redirectURI = 'https://destination.example/catcher'
+  let server
+
+  beforeEach(async () => {
+    server = new MockImmersServer()
+    await server.start()
+  })
+
+  afterEach(() => server.stop())
+
+  async function authorize (params) {
+    const url = new URL('/auth/authorize', server.origin)
+    url.search = new URLSearchParams({ client_id: redirectURI, redirect_uri: redirectURI, me: `tester[${server.host}]`, state: 'xyz', ...params })
+    const response = await globalThis.fetch(url, { redirect: 'manual' })
+    return new URL(response.headers.get('Location'))
+  }
+
+  test('issues tokens for the implicit flow', async () => {
+    const redirect = await authorize({ response_type: 'token', scope: 'viewProfile' })
+    const params = new URLSearchParams(redirect.hash.substring(1))
+    expect(params.get('state')).toBe('xyz')
+    expect(params.get('issuer')).toBe(server.origin)
+    const actor = await tokenToActor(params.get('access_token'), server.origin)
+    expect(actor.id).toBe(server.user('tester').actor.id)
+  })
+
+  test('exchanges codes with a PKCE verifier', async () => {
+    const codeVerifier = 'a-random-verifier-of-sufficient-length-for-pkce'
+    const authorizeCode = async () => (await authorize({
+      response_type: 'code',
+      scope: 'viewProfile viewFriends',
+      code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    })).searchParams.get('code')
+    await expect(exchangeCode(await authorizeCode(), server.origin, { redirectURI, codeVerifier: 'wrong' }))
+      .rejects.toMatchObject({ status: 400 })
+    const { token, authorizedScopes } = await exchangeCode(await authorizeCode(), server.origin, { redirectURI, codeVerifier })
+    expect(authorizedScopes).toEqual(['viewProfile', 'viewFriends'])
+    expect((await tokenToActor(token, server.origin)).preferredUsername).toBe('tester')
+  })
+
+  test('requires a valid issuer to find the token endpoint', async () => {
+    const requests = server.requests.length
+    await expect(exchangeCode('code', null, { redirectURI, codeVerifier: 'verifier' })).rejects.toThrow(ImmersAuthError)
+    await expect(exchangeCode('code', `${server.origin}/path`, { redirectURI, codeVerifier: 'verifier' })).rejects.toThrow('valid issuer')
+    expect(server.requests).toHaveLength(requests)
+  })
+
+  test('reports denied authorization', async () => {
+    server.denyAuthorization = true
+    const redirect = await authorize({ response_type: 'token', scope: 'viewProfile' })
+    const params = new URLSearchParams(redirect.hash.substring(1))
+    expect(params.get('error')).toBe('access_denied')
+    expect(params.get('access_token')).toBeNull()
+  })
+
+  describe('endpoint discovery', () => {
+    let fetch
+
+    beforeEach(() => {
+      // discovery uses https, the mock server doesn't
+      fetch = jest.fn((url, init) => globalThis.fetch(String(url).replace(`https://${server.host}`, server.origin), init))
+      configureEnvironment({ fetch })
+    })
+
+    afterEach(() => {
+      configureEnvironment({ fetch: (...args) => globalThis.fetch(...args) })
+    })
+
+    test('finds endpoints on the actor via webfinger', async () => {
+      expect(await discoverOAuthEndpoints(`tester[${server.host}]`)).toEqual({
+        authorizationEndpoint: `${server.origin}/auth/authorize`,
+        tokenEndpoint: `${server.origin}/auth/token`
+      })
+      expect(server.requests.map(request => request.path)).toEqual([
+        `/.well-known/webfinger?resource=acct:tester@${server.host}`,
+        '/u/tester'
+      ])
+      // cached for the page session
+      await discoverOAuthEndpoints(`tester@${server.host}`)
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    test('uses the default token endpoint if the actor has none', async () => {
+      server.addUser('custom', { endpoints: { oauthAuthorizationEndpoint: 'https://auth.example/authorize' } })
+      expect(await discoverOAuthEndpoints(`custom[${server.host}]`)).toEqual({
+        authorizationEndpoint: 'https://auth.example/authorize',
+        tokenEndpoint: `https://${server.host}/auth/token`
+      })
+    })
+
+    test('falls back to nodeinfo metadata', async () => {
+      expect(await discoverOAuthEndpoints(`nobody[${server.host}]`)).toEqual({
+        authorizationEndpoint: `${server.origin}/auth/authorize`,
+        tokenEndpoint: `${server.origin}/auth/token`
+      })
+      expect(server.requests.map(request => request.path)).toEqual([
+        `/.well-known/webfinger?resource=acct:nobody@${server.host}`,
+        '/.well-known/nodeinfo',
+        '/nodeinfo/2.1'
+      ])
+    })
+
+    test('falls back to the default endpoints if discovery fails', async () => {
+      fetch.mockImplementation(() => Promise.reject(new TypeError('fetch failed')))
+      const handle = `tester[${server.host}]`
+      const defaults = { authorizationEndpoint: `https://${server.host}/auth/authorize`, tokenEndpoint: `https://${server.host}/auth/token` }
+      expect(await discoverOAuthEndpoints(handle)).toEqual(defaults)
+      const attempts = fetch.mock.calls.length
+      // not cached, in case of a temporary failure
+      expect(await discoverOAuthEndpoints(handle)).toEqual(defaults)
+      expect(fetch.mock.calls.length).toBeGreaterThan(attempts)
+    })
+  })
+})
@@ -0,0 +1,931 @@
+/* eslint-env jest */
+import { jest } from '@jest/globals'
+import { IDBFactory } from 'fake-indexeddb'
+import { configureEnvironment, ImmersClient, ImmersScopeError, ImmersSessionExpiredError, indexedDBStorage, memoryStorage, ObjectCache, parseHandle, transport } from '../node.js'
+import { IMMERS_STORE_KEY } from '../source/store.js'
+import { MockImmersServer } from './mockImmersServer.js'
+
+const destination = { type: 'Place', name: 'Test Destination', url: 'https://destination.example/' }
+
+function nextEvent (target, type, filter = () => true) {
+  return new Promise(resolve => {
+    const listener = event => {
+      if (filter(event)) {
+        target.removeEventListener(type, listener)
+        resolve(event)
+      }
+    }
+    target.addEventListener(type, listener)
+  })
+}
+
+function waitFor (condition) {
+  return new Promise(resolve => {
+    const check = async () => (await condition()) ? resolve() : setTimeout(check, 10)
+    check()
+  })
+}
+
+describe('ImmersClient with MockImmersServer', () => {
+  let server
+  let client
+  let friend
+
+  beforeEach(async () => {
+    server = new MockImmersServer({ users: ['tester', 'friend'], pageSize: 3 })
+    await server.start()
+    friend = server.user('friend').actor
+    client = new ImmersClient(destination)
+  })
+
+  afterEach(async () => {
+    client.disconnect()
+    await server.stop()
+  })
+
+  async function login (scopes = '*') {
+    const token = server.issueToken('tester', scopes)
+    const connected = await client.loginWithToken(token, server.origin, scopes)
+    if (client.streaming && !client.streaming.connected) {
+      await nextEvent(client.streaming, 'immers-socket-connect')
+    }
+    if (client.connected) {
+      // so the blocklist request doesn't outlive the server
+      await client.getBlockedUsers()
+    }
+    return { connected, token }
+  }
+
+  describe('loginWithToken', () => {
+    test('connects and loads profile', async () => {
+      const connectedEvent = nextEvent(client, 'immers-client-connected')
+      const { connected } = await login()
+      expect(connected).toBe(true)
+      expect(client.connected).toBe(true)
+      expect(client.profile).toMatchObject({
+        id: server.user('tester').actor.id,
+        handle: `tester[${server.host}]`,
+        username: 'tester'
+      })
+      expect((await connectedEvent).detail.profile.username).toBe('tester')
+    })
+
+    test('fails with an invalid token', async () => {
+      const connected = await client.loginWithToken('not-a-token', server.origin, '*')
+      expect(connected).toBe(false)
+      expect(client.connected).toBe(false)
+    })
+
+    test('records authorized scopes', async () => {
+      await login(['viewProfile', 'viewFriends'])
+      expect(client.authorizedScopes).toEqual(['viewProfile', 'viewFriends'])
+      expect(client.missingScopes('creative')).toEqual(['creative'])
+    })
+  })
+
+  describe('accounts', () => {
+    const scopes = ['viewProfile', 'postLocation']
+    let handle
+    let friendHandle
+
+    beforeEach(() => {
+      handle = `tester[${server.host}]`
+      friendHandle = `friend[${server.host}]`
+    })
+
+    async function loginAsFriend () {
+      client.disconnect()
+      await client.loginWithToken(server.issueToken('friend', scopes), server.origin, scopes)
+      await client.getBlockedUsers()
+    }
+
+    test('saves each account that logs in', async () => {
+      await login(scopes)
+      await loginAsFriend()
+      expect(client.listAccounts()).toMatchObject([
+        { handle, homeImmer: server.origin, authorizedScopes: scopes, active: false, profile: { username: 'tester' } },
+        { handle: friendHandle, homeImmer: server.origin, authorizedScopes: scopes, active: true, profile: { username: 'friend' } }
+      ])
+    })
+
+    test('switches between saved accounts', async () => {
+      await login(['viewProfile'])
+      await loginAsFriend()
+      const events = []
+      client.addEventListener('immers-client-disconnected', () => events.push('disconnected'))
+      client.addEventListener('immers-client-connected', ({ detail }) => events.push(detail.profile.handle))
+      expect(await client.switchAccount(handle)).toBe(true)
+      await client.getBlockedUsers()
+      expect(events).toEqual(['disconnected', handle])
+      expect(client.handle).toBe(handle)
+      expect(client.authorizedScopes).toEqual(['viewProfile'])
+      expect(client.listAccounts().find(account => account.active).handle).toBe(handle)
+      await expect(client.switchAccount(`nobody[${server.host}]`)).rejects.toThrow('No saved account')
+    })
+
+    test('stays online when switching accounts', async () => {
+      await login(scopes)
+      await loginAsFriend()
+      await nextEvent(client.streaming, 'immers-socket-connect')
+      await client.enter()
+      await client.switchAccount(handle)
+      await client.getBlockedUsers()
+      await waitFor(() => server.user('tester').outbox.some(activity => activity.type === 'Arrive'))
+    })
+
+    test('forgets accounts', async () => {
+      await login(scopes)
+      await loginAsFriend()
+      client.forgetAccount(handle)
+      expect(client.listAccounts().map(account => account.handle)).toEqual([friendHandle])
+      expect(client.connected).toBe(true)
+      // forgetting the current account logs out
+      client.forgetAccount(friendHandle)
+      expect(client.listAccounts()).toEqual([])
+      expect(client.connected).toBe(false)
+      expect(client.handle).toBeUndefined()
+    })
+
+    test('keeps other accounts on logout', async () => {
+      await login(scopes)
+      await loginAsFriend()
+      client.logout()
+      expect(client.connected).toBe(false)
+      expect(client.handle).toBeUndefined()
+      expect(client.listAccounts().map(account => account.handle)).toEqual([handle])
+      expect(await client.switchAccount(handle)).toBe(true)
+      await client.getBlockedUsers()
+    })
+
+    test('wipes the credential encryption key on logout', async () => {
+      configureEnvironment({ indexedDB: new IDBFactory() })
+      const storage = memoryStorage()
+      client.disconnect()
+      client = new ImmersClient(destination, { storage, encryptCredentials: true })
+      const { token } = await login(scopes)
+      const keys = indexedDBStorage('immers-client-keys', 'keys')
+      await waitFor(() => storage.getItem(IMMERS_STORE_KEY))
+      expect(await keys.getItem('credential-key')).toBeDefined()
+      expect(JSON.stringify(storage.getItem(IMMERS_STORE_KEY))).not.toContain(token)
+      client.logout()
+      await waitFor(async () => !(await keys.getItem('credential-key')))
+      configureEnvironment({ indexedDB: undefined })
+    })
+  })
+
+  describe('tab sync', () => {
+    const scopes = ['viewProfile']
+    let storage
+    let otherTab
+
+    beforeEach(() => {
+      storage = memoryStorage()
+      client.disconnect()
+      client = new ImmersClient(destination, { storage })
+      otherTab = new ImmersClient(destination, { storage })
+    })
+
+    afterEach(() => {
+      otherTab.disconnect()
+    })
+
+    async function loginBothTabs () {
+      const connected = nextEvent(otherTab, 'immers-client-connected')
+      await login(scopes)
+      await connected
+      await otherTab.getBlockedUsers()
+    }
+
+    test('logs in other tabs', async () => {
+      await loginBothTabs()
+      expect(otherTab.connected).toBe(true)
+      expect(otherTab.handle).toBe(`tester[${server.host}]`)
+    })
+
+    test('logs out other tabs', async () => {
+      await loginBothTabs()
+      const disconnected = nextEvent(otherTab, 'immers-client-disconnected')
+      client.logout()
+      await disconnected
+      expect(otherTab.handle).toBeUndefined()
+    })
+
+    test('applies scope changes from other tabs', async () => {
+      await loginBothTabs()
+      const scopesChanged = nextEvent(otherTab, 'immers-client-scopes-changed')
+      client.disconnect()
+      await login([...scopes, 'postLocation'])
+      expect((await scopesChanged).detail.addedScopes).toEqual(['postLocation'])
+      expect(otherTab.authorizedScopes).toEqual([...scopes, 'postLocation'])
+      await otherTab.getBlockedUsers()
+    })
+
+    test('can be disabled', async () => {
+      client.disconnect()
+      client = new ImmersClient(destination, { storage, syncTabs: false })
+      const connected = jest.fn()
+      otherTab.addEventListener('immers-client-connected', connected)
+      await login(scopes)
+      await new Promise(resolve => setTimeout(resolve, 50))
+      expect(connected).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('friends', () => {
+    test('lists friends with online status', async () => {
+      server.updateFriend('tester', { type: 'Leave', actor: friend.id, target: destination })
+      await login()
+      const friends = await client.friendsList()
+      expect(friends).toHaveLength(1)
+      expect(friends[0]).toMatchObject({ status: 'friend-offline', isOnline: false })
+      expect(friends[0].profile.id).toBe(friend.id)
+    })
+
+    test('publishes updates streamed from the server', async () => {
+      await login()
+      const update = nextEvent(client, 'immers-client-friends-update', ({ detail }) => detail.friends.length)
+      server.updateFriend('tester', { type: 'Arrive', actor: friend.id, target: destination })
+      const { detail: { friends } } = await update
+      expect(friends).toHaveLength(1)
+      expect(friends[0]).toMatchObject({
+        status: 'friend-online',
+        isOnline: true,
+        locationName: destination.name,
+        locationURL: destination.url
+      })
+    })
+  })
+
+  describe('messages', () => {
+    test('publishes incoming messages', async () => {
+      await login()
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'Hello' } })
+      const { detail: { message } } = await incoming
+      expect(message).toMatchObject({ type: 'chat', messageHTML: 'Hello' })
+      expect(message.sender.id).toBe(friend.id)
+    })
+
+    test('escapes HTML without a DOM to sanitize it', async () => {
+      await login()
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: '<img src=x onerror=alert(1)>' } })
+      const { detail: { message } } = await incoming
+      expect(message.messageHTML).toBe('&lt;img src=x onerror=alert(1)&gt;')
+    })
+
+    test('sends chat messages to the outbox', async () => {
+      await login()
+      const location = await client.sendChatMessage('Hi friend', 'friends', [friend.id])
+      const activity = server.getObject(location)
+      expect(activity).toMatchObject({ type: 'Create', object: { type: 'Note', content: 'Hi friend' } })
+      expect(activity.object.to).toEqual([friend.id, server.user('tester').actor.followers])
+    })
+
+    test('queues messages without WebCrypto', async () => {
+      // not global in Node.js 18
+      configureEnvironment({ crypto: undefined })
+      client.disconnect()
+      client = new ImmersClient(destination, { queueActivities: true })
+      await login()
+      try {
+        const location = await client.sendChatMessage('Hi friend', 'friends', [friend.id])
+        expect(server.getObject(location)).toMatchObject({ type: 'Create', object: { content: 'Hi friend' } })
+      } finally {
+        configureEnvironment({ crypto: globalThis.crypto })
+      }
+    })
+
+    test('sends direct messages only to the recipient', async () => {
+      await login()
+      const location = await client.sendDirectMessage(friend.id, 'Just you')
+      const activity = server.getObject(location)
+      expect(activity.object.to).toEqual([friend.id])
+      const { messages: [message] } = await client.feedPage()
+      expect(message).toMatchObject({ messageHTML: 'Just you', recipients: [friend.id], direct: true })
+      expect(message.conversationId).toBe(activity.object.id)
+    })
+
+    test('threads replies into conversations', async () => {
+      await login()
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      server.deliver('tester', {
+        type: 'Create',
+        actor: friend.id,
+        to: [server.user('tester').actor.id],
+        object: { type: 'Note', content: 'Question?', to: [server.user('tester').actor.id] }
+      })
+      const { detail: { message: question } } = await incoming
+      expect(question.direct).toBe(true)
+      const location = await client.sendChatMessage('Answer', 'direct', [], { inReplyTo: question })
+      const reply = server.getObject(location).object
+      expect(reply).toMatchObject({ inReplyTo: question.objectId, conversation: question.conversationId, to: [friend.id] })
+      // replies that only link their parent are grouped too
+      const incomingReply = nextEvent(client, 'immers-client-new-message')
+      const thanks = server.deliver('tester', {
+        type: 'Create',
+        actor: friend.id,
+        object: { type: 'Note', content: 'Thanks', inReplyTo: reply.id, to: [server.user('tester').actor.id] }
+      })
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'Unrelated' } })
+      const conversation = await client.getConversation(question)
+      expect(conversation.map(message => message.messageHTML)).toEqual(['Question?', 'Answer', 'Thanks'])
+      const byId = await client.getConversation(reply.id)
+      expect(byId.map(message => message.id)).toEqual(conversation.map(message => message.id))
+      const { detail: { message: thanksMessage } } = await incomingReply
+      expect(thanksMessage).toMatchObject({ messageHTML: 'Thanks', replyTo: reply.id, conversationId: undefined })
+      const fromReply = await client.getConversation(thanksMessage)
+      expect(fromReply.map(message => message.id)).toEqual(conversation.map(message => message.id))
+      const fromReplyId = await client.getConversation(thanks.id)
+      expect(fromReplyId.map(message => message.id)).toEqual(conversation.map(message => message.id))
+    })
+
+    test('stops reading the inbox at the start of a conversation', async () => {
+      await login()
+      for (let i = 0; i < 7; i++) {
+        server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: `Old ${i}` } })
+      }
+      const incoming = nextEvent(client, 'immers-client-new-message', ({ detail }) => detail.message.messageHTML === 'Question?')
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'Question?' } })
+      const { detail: { message: question } } = await incoming
+      await client.sendChatMessage('Answer', 'friends', [friend.id], { inReplyTo: question })
+      const inboxPages = () => server.requests.filter(request => request.path.startsWith('/inbox/tester?page=')).length
+      const pagesBefore = inboxPages()
+      const conversation = await client.getConversation(question)
+      expect(conversation.map(message => message.messageHTML)).toEqual(['Question?', 'Answer'])
+      expect(inboxPages() - pagesBefore).toBe(1)
+      // a thread that isn't in the inbox is only read up to the limit
+      const pagesBeforeLimited = inboxPages()
+      expect(await client.getConversation({ conversationId: 'https://elsewhere.example/o/1' }, { maxItems: 2 })).toEqual([])
+      expect(inboxPages() - pagesBeforeLimited).toBe(1)
+    })
+  })
+
+  describe('mentions and hashtags', () => {
+    beforeEach(() => {
+      // handles are resolved with https webfinger requests, which the mock server doesn't serve
+      client.resolveProfileIRI = async handle => {
+        try {
+          return server.user(parseHandle(handle).username).actor.id
+        } catch {
+          return undefined
+        }
+      }
+    })
+
+    test('links, tags, and addresses mentions and hashtags', async () => {
+      await login()
+      const location = await client.sendChatMessage('Hi @friend[localhost] and @nobody@immers.space, #VR time', 'public')
+      const { object } = server.getObject(location)
+      expect(object.content).toBe(
+        `Hi <a href="${friend.id}" class="mention">@friend[localhost]</a> and @nobody@immers.space, ` +
+        `<a href="${server.origin}/tags/VR" class="hashtag" rel="tag">#VR</a> time`
+      )
+      expect(object.tag).toEqual([
+        { type: 'Mention', href: friend.id, name: '@friend[localhost]' },
+        { type: 'Hashtag', href: `${server.origin}/tags/VR`, name: '#VR' }
+      ])
+      expect(object.to).toContain(friend.id)
+    })
+
+    test('exposes mentions and tags on incoming messages', async () => {
+      await login()
+      const tester = server.user('tester').actor
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      server.deliver('tester', {
+        type: 'Create',
+        actor: friend.id,
+        object: {
+          type: 'Note',
+          content: '@tester #Party',
+          tag: [{ type: 'Mention', href: tester.id, name: '@tester' }, { type: 'Hashtag', name: '#Party' }]
+        }
+      })
+      const { detail: { message } } = await incoming
+      expect(message).toMatchObject({ mentions: [tester.id], tags: ['Party'], mentionsMe: true })
+    })
+  })
+
+  describe('editing and deleting', () => {
+    async function postMessage (content) {
+      await client.sendChatMessage(content, 'friends', [friend.id])
+      const { messages: [message] } = await client.feedPage()
+      return message
+    }
+
+    test('edits own messages', async () => {
+      await login()
+      const message = await postMessage('Helo')
+      const updated = nextEvent(client, 'immers-client-message-update')
+      await client.editMessage(message, 'Hello')
+      const { detail } = await updated
+      expect(detail.message).toMatchObject({ objectId: message.objectId, messageHTML: 'Hello', edited: true, deleted: false })
+      client.resetFeed()
+      const { messages } = await client.feedPage()
+      expect(messages).toHaveLength(1)
+      expect(messages[0]).toMatchObject({ id: message.id, messageHTML: 'Hello', edited: true })
+    })
+
+    test('deletes own messages', async () => {
+      await login()
+      const message = await postMessage('Oops')
+      const deleted = nextEvent(client, 'immers-client-message-update')
+      await client.deleteMessage(message)
+      expect(server.getObject(message.objectId)).toMatchObject({ type: 'Tombstone', formerType: 'Note' })
+      expect((await deleted).detail.message).toMatchObject({ objectId: message.objectId, deleted: true })
+      client.resetFeed()
+      expect((await client.feedPage()).messages).toHaveLength(0)
+    })
+
+    test('publishes changes to others\' messages', async () => {
+      await login()
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      const { object } = server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'First' } })
+      const { detail: { message } } = await incoming
+      const updated = nextEvent(client, 'immers-client-message-update')
+      server.deliver('tester', { type: 'Update', actor: friend.id, object: { ...object, content: 'Second' } })
+      expect((await updated).detail.message).toMatchObject({ objectId: message.objectId, messageHTML: 'Second', edited: true })
+      const deleted = nextEvent(client, 'immers-client-message-update')
+      server.deliver('tester', { type: 'Delete', actor: friend.id, object: object.id })
+      expect((await deleted).detail.message).toMatchObject({ objectId: message.objectId, deleted: true })
+    })
+
+    test('only changes own messages', async () => {
+      await login()
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'Not yours' } })
+      const { detail: { message } } = await incoming
+      await expect(client.editMessage(message, 'Mine now')).rejects.toThrow('own messages')
+      await expect(client.deleteMessage(message)).rejects.toThrow('own messages')
+    })
+
+    test('requires the destructive scope to delete', async () => {
+      await login(['viewProfile', 'viewPublic', 'creative'])
+      const message = await postMessage('Permanent')
+      await expect(client.deleteMessage(message)).rejects.toThrow('destructive')
+    })
+  })
+
+  describe('reactions', () => {
+    let note
+
+    beforeEach(() => {
+      note = server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'React to me' } })
+    })
+
+    test('aggregates reactions in the feed', async () => {
+      const other = server.addUser('other').actor
+      const like = (actor, content) => ({ type: 'Like', actor, object: note.object.id, content })
+      server.deliver('tester', like(friend.id, '🎉'))
+      server.deliver('tester', like(other.id))
+      server.deliver('tester', { type: 'Announce', actor: other.id, object: note.object.id })
+      server.deliver('tester', { type: 'Undo', actor: other.id, object: like(other.id) })
+      // undo by id, which is paged before the activity it references
+      const share = server.deliver('tester', { type: 'Announce', actor: friend.id, object: note.object.id })
+      server.deliver('tester', { type: 'Undo', actor: friend.id, object: share.id })
+      await login()
+      const { messages } = await client.feedPage()
+      expect(messages).toHaveLength(1)
+      expect(messages[0]).toMatchObject({ messageHTML: 'React to me', reactions: { '🎉': 1 }, shares: 1 })
+    })
+
+    test('reacts and publishes live reactions', async () => {
+      await login()
+      const { messages: [message] } = await client.feedPage()
+      const reacted = nextEvent(client, 'immers-client-reaction')
+      const location = await client.react(message, '👍')
+      expect(server.getObject(location)).toMatchObject({ type: 'Like', object: message.objectId, content: '👍', to: [friend.id] })
+      const { detail } = await reacted
+      expect(detail).toMatchObject({ reaction: { type: 'like', emoji: '👍', undo: false }, reactions: { '👍': 1 }, shares: 0 })
+      expect(detail.profile.id).toBe(server.user('tester').actor.id)
+      const removed = nextEvent(client, 'immers-client-reaction')
+      const undo = await client.unreact(message)
+      expect(server.getObject(undo)).toMatchObject({ type: 'Undo', object: { id: location, type: 'Like' } })
+      expect((await removed).detail).toMatchObject({ reaction: { undo: true }, reactions: {} })
+      await expect(client.unreact(message)).rejects.toThrow('No Like')
+      // undos must reference an existing activity
+      await expect(client.activities.postActivity({ type: 'Undo', object: { type: 'Like', object: message.objectId } }))
+        .rejects.toMatchObject({ status: 400 })
+    })
+
+    test('shares messages and receives others\' reactions', async () => {
+      await login()
+      const { messages: [message] } = await client.feedPage()
+      const shared = nextEvent(client, 'immers-client-reaction')
+      const location = await client.share(message, 'friends')
+      expect(server.getObject(location).to).toEqual([friend.id, server.user('tester').actor.followers])
+      expect((await shared).detail).toMatchObject({ reaction: { type: 'share' }, shares: 1 })
+      const unshared = nextEvent(client, 'immers-client-reaction')
+      const undo = await client.unshare(message)
+      expect(server.getObject(undo).object.id).toBe(location)
+      expect((await unshared).detail).toMatchObject({ reaction: { type: 'share', undo: true }, shares: 0 })
+      const liked = nextEvent(client, 'immers-client-reaction')
+      server.deliver('tester', { type: 'Like', actor: friend.id, object: message.objectId })
+      const { detail } = await liked
+      expect(detail).toMatchObject({ reactions: { '❤️': 1 }, shares: 0 })
+      expect(detail.profile.id).toBe(friend.id)
+    })
+
+    test('requires the creative scope to react and the destructive scope to undo', async () => {
+      await login(['viewProfile', 'viewPublic'])
+      const { messages: [message] } = await client.feedPage()
+      await expect(client.react(message)).rejects.toThrow(ImmersScopeError)
+      await expect(client.share(message)).rejects.toThrow('creative')
+      await expect(client.unreact(message)).rejects.toThrow('destructive')
+      await expect(client.unshare(message)).rejects.toThrow('destructive')
+      expect(server.requests.filter(request => request.method === 'POST')).toEqual([])
+    })
+  })
+
+  describe('feed paging', () => {
+    beforeEach(() => {
+      const start = Date.parse('2022-06-01T00:00:00Z')
+      const published = minutes => new Date(start + minutes * 60000).toISOString()
+      // interleaved inbox and outbox across multiple collection pages
+      const outbox = server.user('tester').outbox
+      for (let i = 0; i < 8; i++) {
+        const inbound = i % 2 === 0
+        const activity = {
+          id: `${server.origin}/s/message-${i}`,
+          type: 'Create',
+          actor: inbound ? friend.id : server.user('tester').actor.id,
+          published: published(i),
+          object: { type: 'Note', content: `message ${i}` }
+        }
+        if (inbound) {
+          server.deliver('tester', activity)
+        } else {
+          outbox.unshift(activity)
+        }
+      }
+    })
+
+    test('merges inbox and outbox newest first across pages', async () => {
+      await login()
+      const seen = []
+      let { messages, cursor } = await client.feedPage({ limit: 3 })
+      seen.push(...messages)
+      while (cursor) {
+        ({ messages, cursor } = await client.feedPage({ cursor, limit: 3 }))
+        seen.push(...messages)
+      }
+      expect(seen.map(message => message.messageHTML)).toEqual([
+        'message 7', 'message 6', 'message 5', 'message 4',
+        'message 3', 'message 2', 'message 1', 'message 0'
+      ])
+    })
+
+    test('resumes from a cursor', async () => {
+      await login()
+      const first = await client.feedPage({ limit: 5 })
+      client.resetFeed()
+      const resumed = await client.feedPage({ cursor: first.cursor, limit: 5 })
+      expect(resumed.messages.map(message => message.messageHTML)).toEqual([
+        'message 2', 'message 1', 'message 0'
+      ])
+      expect(resumed.cursor).toBeUndefined()
+    })
+
+    test('gets newer messages', async () => {
+      await login()
+      await client.feedPage({ limit: 3 })
+      await client.sendChatMessage('latest', 'public')
+      const newer = await client.feedNewer()
+      expect(newer.map(message => message.messageHTML)).toEqual(['latest'])
+    })
+  })
+
+  describe('avatars', () => {
+    const glb = new globalThis.Blob(['glTF'], { type: 'model/gltf-binary' })
+    const icon = new globalThis.Blob(['PNG'], { type: 'image/png' })
+
+    test('creates, lists, and uses avatars', async () => {
+      await login()
+      const location = await client.createAvatar('Robot', glb, icon, 'public')
+      const avatars = await client.activities.avatars()
+      expect(avatars).toHaveLength(1)
+      expect(avatars[0].id).toBe(location)
+      expect(avatars[0].object).toMatchObject({ type: 'Model', name: 'Robot' })
+      const model = await globalThis.fetch(avatars[0].object.url)
+      expect(await model.text()).toBe('glTF')
+      await client.useAvatar(avatars[0])
+      expect(server.user('tester').actor.avatar.url).toBe(avatars[0].object.url)
+      expect(server.user('tester').actor.icon).toBe(avatars[0].object.icon)
+    })
+
+    test('requires the creative scope', async () => {
+      await login(['viewProfile'])
+      await expect(client.createAvatar('Robot', glb, icon, 'public')).rejects.toThrow('creative')
+    })
+
+    test('lists avatars in pages', async () => {
+      await login()
+      for (const name of ['One', 'Two', 'Three', 'Four']) {
+        await client.createAvatar(name, glb, icon, 'public')
+      }
+      const first = await client.listAvatars()
+      expect(first.avatars.map(avatar => avatar.name)).toEqual(['Four', 'Three', 'Two'])
+      expect(first.avatars[0]).toMatchObject({
+        creator: server.user('tester').actor.id,
+        activity: { type: 'Create' },
+        model: { type: 'Model', name: 'Four' }
+      })
+      expect(await (await globalThis.fetch(first.avatars[0].url)).text()).toBe('glTF')
+      expect(await (await globalThis.fetch(first.avatars[0].icon)).text()).toBe('PNG')
+      const second = await client.listAvatars({ cursor: first.cursor })
+      expect(second.avatars.map(avatar => avatar.name)).toEqual(['One'])
+      expect(second.cursor).toBeUndefined()
+    })
+
+    test('adds and removes avatars from other users', async () => {
+      const friendClient = new ImmersClient(destination)
+      await friendClient.loginWithToken(server.issueToken('friend'), server.origin, '*')
+      await friendClient.createAvatar('Friendly', glb, icon, 'public')
+      friendClient.disconnect()
+      await login()
+      const { avatars: [avatar] } = await client.listAvatars({ owner: friend.id })
+      expect(avatar).toMatchObject({ name: 'Friendly', creator: friend.id })
+      const added = nextEvent(client, 'immers-client-avatars-update')
+      await client.addAvatar(avatar.activity)
+      expect((await added).detail).toMatchObject({ action: 'add', avatarId: avatar.id, avatar: { name: 'Friendly' } })
+      expect((await client.listAvatars()).avatars.map(({ id }) => id)).toEqual([avatar.id])
+      const removed = nextEvent(client, 'immers-client-avatars-update')
+      await client.removeAvatar(avatar)
+      expect((await removed).detail).toEqual({ action: 'remove', avatarId: avatar.id })
+      expect((await client.listAvatars()).avatars).toEqual([])
+    })
+
+    test('requires the destructive scope to remove', async () => {
+      await login(['viewProfile', 'creative'])
+      await expect(client.removeAvatar('https://immers.example/s/avatar')).rejects.toThrow('destructive')
+    })
+  })
+
+  describe('media uploads', () => {
+    const screenshot = new globalThis.Blob(['JPEG'], { type: 'image/jpeg' })
+    const clip = new globalThis.Blob(['WEBM'], { type: 'video/webm' })
+
+    test('uploads images with captions and reports progress', async () => {
+      await login()
+      const progress = nextEvent(client, 'immers-client-upload-progress')
+      const location = await client.sendImage(screenshot, 'friends', 'Nice view', { to: [friend.id] })
+      const { detail } = await progress
+      expect(detail.file).toBe(screenshot)
+      expect(detail.loaded).toBe(detail.total)
+      const { object } = server.getObject(location)
+      expect(object).toMatchObject({ type: 'Image', mediaType: 'image/jpeg', summary: 'Nice view' })
+      expect(object.url).toMatch(/\/image\.jpg$/)
+      expect(await (await globalThis.fetch(object.url)).text()).toBe('JPEG')
+      const { messages: [message] } = await client.feedPage()
+      expect(message).toMatchObject({ type: 'media', mediaType: 'image', url: object.url })
+      expect(message.__unsafeMessageHTML).toContain('<p class="immers-message-caption">Nice view</p>')
+    })
+
+    test('uploads videos with preview images', async () => {
+      await login()
+      const poster = new globalThis.Blob(['PNG'], { type: 'image/png' })
+      const location = await client.sendVideo(clip, 'public', undefined, { icon: poster })
+      const { object } = server.getObject(location)
+      expect(object).toMatchObject({ type: 'Video', mediaType: 'video/webm' })
+      expect(object.url).toMatch(/\/video\.webm$/)
+      expect(object.icon).toMatch(/\/icon\.png$/)
+    })
+
+    test('requires the creative scope', async () => {
+      await login(['viewProfile'])
+      await expect(client.sendImage(screenshot, 'public')).rejects.toThrow('creative')
+    })
+
+    test('uploads are not limited by the request timeout', async () => {
+      await login()
+      const { timeout } = transport
+      transport.timeout = 50
+      server.uploadDelay = 200
+      try {
+        const location = await client.sendImage(screenshot, 'public')
+        expect(server.getObject(location).object.type).toBe('Image')
+      } finally {
+        transport.timeout = timeout
+      }
+    })
+  })
+
+  describe('screenshots', () => {
+    const calls = []
+    // encodes one byte per pixel
+    class FakeCanvas {
+      constructor (width, height) {
+        this.width = width
+        this.height = height
+      }
+
+      getContext () {
+        return { drawImage: (source, x, y, width, height) => calls.push(['drawImage', width, height]) }
+      }
+
+      async convertToBlob ({ type }) {
+        return new globalThis.Blob([new Uint8Array(this.width * this.height)], { type })
+      }
+    }
+
+    beforeEach(() => {
+      calls.length = 0
+      globalThis.OffscreenCanvas = FakeCanvas
+    })
+
+    afterEach(() => {
+      delete globalThis.OffscreenCanvas
+    })
+
+    test('captures after rendering and shares linked to the destination', async () => {
+      await login()
+      const scene = new FakeCanvas(4000, 100)
+      const location = await client.shareScreenshot(scene, {
+        caption: 'This moment',
+        type: 'image/webp',
+        render: () => calls.push(['render'])
+      })
+      expect(calls).toEqual([['render'], ['drawImage', 2048, 51]])
+      const { object } = server.getObject(location)
+      expect(object).toMatchObject({ type: 'Image', mediaType: 'image/webp', summary: 'This moment', context: destination })
+      expect(object.to).toEqual([server.user('tester').actor.followers])
+      expect(object.url).toMatch(/\/image\.webp$/)
+    })
+
+    test('scales down to the size limit', async () => {
+      await login()
+      await client.shareScreenshot(new FakeCanvas(200, 200), { maxBytes: 20000 })
+      expect(calls).toEqual([['drawImage', 200, 200], ['drawImage', 150, 150], ['drawImage', 113, 113]])
+      await expect(client.shareScreenshot(new FakeCanvas(200, 200), { maxBytes: 10 })).rejects.toThrow('larger than 10 bytes')
+    })
+  })
+
+  describe('blocking', () => {
+    beforeEach(() => {
+      server.updateFriend('tester', { type: 'Arrive', actor: friend.id, target: destination })
+    })
+
+    test('hides blocked users from friends and messages', async () => {
+      await login()
+      expect(await client.friendsList()).toHaveLength(1)
+      const update = nextEvent(client, 'immers-client-friends-update')
+      await client.blockUser(friend.id)
+      expect((await update).detail.friends).toHaveLength(0)
+      expect(server.user('tester').blocked).toEqual([friend.id])
+      const incoming = nextEvent(client, 'immers-client-new-message')
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'blocked' } })
+      const other = server.addUser('other').actor
+      server.deliver('tester', { type: 'Create', actor: other.id, object: { type: 'Note', content: 'not blocked' } })
+      expect((await incoming).detail.message.messageHTML).toBe('not blocked')
+      client.resetFeed()
+      const { messages } = await client.feedPage()
+      expect(messages.map(message => message.messageHTML)).toEqual(['not blocked'])
+    })
+
+    test('loads the blocklist on login', async () => {
+      server.block('tester', friend.id)
+      server.deliver('tester', { type: 'Create', actor: friend.id, object: { type: 'Note', content: 'blocked' } })
+      await login()
+      expect(await client.friendsList()).toHaveLength(0)
+      expect((await client.feedPage()).messages).toHaveLength(0)
+      const blocked = await client.getBlockedUsers()
+      expect(blocked.map(profile => profile.id)).toEqual([friend.id])
+    })
+
+    test('unblocks users', async () => {
+      const block = server.block('tester', friend.id)
+      await login()
+      const location = await client.unblockUser(friend.id)
+      expect(server.getObject(location)).toMatchObject({ type: 'Undo', object: { id: block.id, type: 'Block' } })
+      expect(server.user('tester').blocked).toEqual([])
+      expect(await client.getBlockedUsers()).toEqual([])
+      expect(await client.friendsList()).toHaveLength(1)
+    })
+
+    test('applies blocks made in other sessions', async () => {
+      await login()
+      const otherSession = new ImmersClient(destination)
+      await otherSession.loginWithToken(server.issueToken('tester'), server.origin, '*')
+      const update = nextEvent(client, 'immers-client-friends-update', ({ detail }) => !detail.friends.length)
+      await otherSession.blockUser(friend.id)
+      await update
+      expect((await client.getBlockedUsers()).map(profile => profile.id)).toEqual([friend.id])
+      otherSession.disconnect()
+    })
+
+    test('hides blocked users in friends updates from other tabs', async () => {
+      server.block('tester', friend.id)
+      const storage = memoryStorage()
+      client.disconnect()
+      client = new ImmersClient(destination, { storage })
+      await login()
+      const otherTab = new ImmersClient(destination, { storage })
+      const restored = nextEvent(otherTab, 'immers-client-friends-update')
+      await otherTab.restoreSession()
+      await restored
+      // only receives friends updates from the first tab
+      otherTab.streaming.disconnect()
+      const synced = nextEvent(otherTab, 'immers-client-friends-update')
+      server.updateFriend('tester', { type: 'Leave', actor: friend.id, target: destination })
+      expect((await synced).detail.friends).toEqual([])
+      otherTab.disconnect()
+    })
+
+    test('keeps the session when the blocklist is forbidden', async () => {
+      // e.g. a token without the scope to view it
+      server.user('tester').actor.streams.blocked = `${server.origin}/blocked/friend`
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      await login()
+      expect(await client.getBlockedUsers()).toEqual([])
+      expect(warn).toHaveBeenCalledWith('Unable to fetch blocklist: ', expect.stringContaining('403'))
+      expect(client.connected).toBe(true)
+      warn.mockRestore()
+    })
+
+    test('requires the addBlocks scope', async () => {
+      await login(['viewProfile', 'viewFriends'])
+      await expect(client.blockUser(friend.id)).rejects.toThrow('addBlocks')
+    })
+  })
+
+  describe('session expiry', () => {
+    test('disconnects when the token is revoked', async () => {
+      const { token } = await login()
+      server.revokeToken(token)
+      const expired = nextEvent(client, 'immers-client-session-expired')
+      await expect(client.friendsList()).rejects.toThrow()
+      await expired
+      expect(client.connected).toBe(false)
+      expect(client.handle).toBe(`tester[${server.host}]`)
+    })
+
+    test('treats forbidden responses as session expiry', async () => {
+      await login()
+      const expired = nextEvent(client, 'immers-client-session-expired')
+      await expect(client.activities.getObject(`${server.origin}/inbox/friend`)).rejects.toThrow(ImmersSessionExpiredError)
+      await expired
+      expect(client.connected).toBe(false)
+    })
+
+    test('pauses queued activities until the user logs back in', async () => {
+      client.disconnect()
+      client = new ImmersClient(destination, { queueActivities: true })
+      const { token } = await login()
+      server.revokeToken(token)
+      const paused = nextEvent(client, 'immers-client-outbox-status', ({ detail }) => detail.status === 'paused')
+      await expect(client.sendChatMessage('Hold on', 'public')).rejects.toThrow(ImmersSessionExpiredError)
+      const { detail: { localId } } = await paused
+      expect(client.outbox.entries).toMatchObject([{ localId, status: 'paused' }])
+      const sent = nextEvent(client, 'immers-client-outbox-status', ({ detail }) => detail.status === 'sent')
+      await login()
+      const { detail } = await sent
+      expect(detail.localId).toBe(localId)
+      expect(server.getObject(detail.location)).toMatchObject({ type: 'Create', object: { content: 'Hold on' } })
+      expect(client.outbox.entries).toEqual([])
+    })
+
+    test('holds queued activities while disconnected', async () => {
+      client.disconnect()
+      client = new ImmersClient(destination, { queueActivities: true })
+      await login()
+      const actor = server.user('tester').actor
+      client.disconnect()
+      // e.g. logged out in another tab
+      const activity = { type: 'Create', actor: actor.id, to: [actor.followers], object: { type: 'Note', content: 'Later' } }
+      expect(await client.outbox.post(activity)).toBeUndefined()
+      await client.outbox.flush()
+      expect(client.outbox.entries).toMatchObject([{ status: 'paused', activity }])
+      const sent = nextEvent(client, 'immers-client-outbox-status', ({ detail }) => detail.status === 'sent')
+      await login()
+      const { detail } = await sent
+      expect(server.getObject(detail.location)).toMatchObject({ type: 'Create', object: { content: 'Later' } })
+    })
+  })
+})
+
+describe('ObjectCache', () => {
+  const ok = object => () => Promise.resolve(new globalThis.Response(JSON.stringify(object), { status: 200 }))
+
+  test('does not read objects cached for another user', async () => {
+    const storage = memoryStorage()
+    const first = new ObjectCache({ storage })
+    first.setOwner('https://immer.example/u/first')
+    await first.fetch('https://immer.example/o/secret', ok({ content: 'first' }))
+    const second = new ObjectCache({ storage })
+    // not awaited, reads wait for the owner check
+    second.setOwner('https://immer.example/u/second')
+    const object = await second.fetch('https://immer.example/o/secret', ok({ content: 'second' }))
+    expect(object.content).toBe('second')
+  })
+
+  test('stops persisting if the owner check fails', async () => {
+    const storage = { ...memoryStorage(), clear: () => Promise.reject(new Error('Quota exceeded')) }
+    const cache = new ObjectCache({ storage })
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    await cache.setOwner('https://immer.example/u/first')
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+    await cache.fetch('https://immer.example/o/note', ok({ content: 'hi' }))
+    expect(storage.getItem('https://immer.example/o/note')).toBeUndefined()
+  })
+})
@@ -0,0 +1,17 @@
+const JSDOMEnvironment = require('jest-environment-jsdom')
+
+// jsdom has no fetch or WebCrypto; provide Node's along with the classes they need
+// so clients under test can reach a MockImmersServer and use PKCE
+const nodeGlobals = [
+  'fetch', 'Headers', 'Request', 'Response', 'AbortController', 'AbortSignal', 'setImmediate', 'clearImmediate',
+  'crypto', 'TextEncoder', 'TextDecoder'
+]
+
+module.exports = class NodeFetchJSDOMEnvironment extends JSDOMEnvironment {
+  constructor (config, context) {
+    super(config, context)
+    nodeGlobals.forEach(name => { this.global[name] = globalThis[name] })
+    // Node.js 18 only provides WebCrypto as a module
+    this.global.crypto ??= require('crypto').webcrypto
+  }
+}
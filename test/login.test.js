@@ -0,0 +1,314 @@
+/**
+ * @jest-environment ./test/jsdomEnvironment.cjs
+ */
+/* eslint-env jest */
+import { jest } from '@jest/globals'
+import { createHash } from 'crypto'
+import { catchToken, completeRedirectLogin } from '../source/authUtils.js'
+import { ImmersClient } from '../source/client.js'
+import { configureEnvironment } from '../source/environment.js'
+import { ImmersAuthCancelledError, ImmersAuthDeniedError, ImmersAuthTimeoutError } from '../source/errors.js'
+import { memoryStorage } from '../source/storage.js'
+import { IMMERS_STORE_KEY, loadPendingLogin, savePendingLogin } from '../source/store.js'
+import { MockImmersServer } from './mockImmersServer.js'
+
+const destination = { type: 'Place', name: 'Test Destination', url: 'https://destination.example/' }
+const tokenCatcherURL = 'http://localhost/catcher'
+
+function waitFor (condition) {
+  return new Promise(resolve => {
+    const check = () => condition() ? resolve() : setTimeout(check, 10)
+    check()
+  })
+}
+
+describe('browser login flows with MockImmersServer', () => {
+  const { alert, open } = window
+  let server
+  let handle
+
+  beforeEach(async () => {
+    server = new MockImmersServer({ users: ['tester'] })
+    await server.start()
+    handle = `tester[${server.host}]`
+    // discovery uses https, the mock server doesn't
+    configureEnvironment({ fetch: (url, init) => globalThis.fetch(String(url).replace(`https://${server.host}`, server.origin), init) })
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    window.alert = alert
+    window.open = open
+    window.sessionStorage.clear()
+    window.history.replaceState(null, '', '/')
+    await server.stop()
+  })
+
+  // the authorization server's redirect back to the token catcher
+  function returnFromAuthorization (params) {
+    window.history.replaceState(null, '', `/#${new URLSearchParams(params)}`)
+  }
+
+  // stands in for the token catcher page loaded in a login window or frame
+  // after the authorization server redirects back to it
+  async function authorizeAt (authURL) {
+    const response = await globalThis.fetch(authURL, { redirect: 'manual' })
+    const { pathname, search, hash } = new URL(response.headers.get('Location'))
+    window.history.replaceState(null, '', pathname + search + hash)
+    window.opener = { postMessage: (data, origin) => window.dispatchEvent(new window.MessageEvent('message', { data, origin })) }
+    catchToken()
+    window.opener = null
+    window.history.replaceState(null, '', '/')
+  }
+
+  // where a redirect login sent the tab, as jsdom can't navigate
+  function pendingAuthorizationURL (scope) {
+    const { redirectURI, state, codeVerifier } = loadPendingLogin()
+    const url = new URL('/auth/authorize', server.origin)
+    url.search = new URLSearchParams({
+      redirect_uri: redirectURI,
+      response_type: 'code',
+      scope,
+      me: handle,
+      state,
+      code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    })
+    return url.href
+  }
+
+  // login windows complete authorization once navigated to the authorization endpoint,
+  // unless the user never finishes
+  function stubPopup ({ authorize = true } = {}) {
+    const popup = {
+      closed: false,
+      close: jest.fn(() => { popup.closed = true }),
+      location: {
+        get href () {
+          return popup.authURL
+        },
+        set href (url) {
+          popup.authURL = url
+          if (authorize) {
+            authorizeAt(url)
+          }
+        }
+      }
+    }
+    window.open = jest.fn(url => {
+      if (url) {
+        popup.location.href = String(url)
+      }
+      return popup
+    })
+    return popup
+  }
+
+  // hidden frames for silent re-authorization are loaded when added to the page
+  function loadFrames () {
+    const frames = []
+    const observer = new window.MutationObserver(records => records
+      .flatMap(record => Array.from(record.addedNodes))
+      .filter(node => node.tagName === 'IFRAME')
+      .forEach(frame => {
+        frames.push(frame.src)
+        authorizeAt(frame.src)
+      }))
+    observer.observe(document.body, { childList: true })
+    frames.stop = () => observer.disconnect()
+    return frames
+  }
+
+  describe('catchToken', () => {
+    const opener = { postMessage: jest.fn() }
+
+    beforeEach(() => {
+      opener.postMessage.mockClear()
+      window.opener = opener
+    })
+
+    afterEach(() => {
+      window.opener = null
+    })
+
+    test('completes a redirect login in a tab with an opener', async () => {
+      savePendingLogin({ state: 'abc', redirectURI: window.location.href, expectedImmer: server.host, greeting: 'hi' })
+      const token = server.issueToken('tester', 'viewProfile')
+      returnFromAuthorization({ access_token: token, issuer: server.origin, scope: 'viewProfile', state: 'abc' })
+      expect(catchToken()).toBe(false)
+      expect(opener.postMessage).not.toHaveBeenCalled()
+      const { authResult, pendingState } = await completeRedirectLogin()
+      expect(authResult).toMatchObject({ token, homeImmer: server.origin, authorizedScopes: ['viewProfile'] })
+      expect(authResult.actor.id).toBe(server.user('tester').actor.id)
+      expect(pendingState).toEqual({ greeting: 'hi' })
+      expect(loadPendingLogin()).toBeNull()
+    })
+
+    test('passes results to the opener of a popup', () => {
+      savePendingLogin({ state: 'abc' })
+      returnFromAuthorization({ access_token: 'token', issuer: server.origin, scope: 'viewProfile', state: 'other' })
+      expect(catchToken()).toBe(true)
+      expect(opener.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'ImmersAuth', token: 'token', state: 'other' }),
+        window.location.origin
+      )
+      expect(loadPendingLogin().result).toBeUndefined()
+    })
+  })
+
+  describe('popup login', () => {
+    test('connects with the authorized account', async () => {
+      const popup = stubPopup()
+      const client = new ImmersClient(destination)
+      const token = await client.login(tokenCatcherURL, 'friends', handle)
+      expect(client.connected).toBe(true)
+      expect(client.handle).toBe(handle)
+      expect(client.authorizedScopes).toEqual(['friends'])
+      expect(new URL(popup.authURL).searchParams.get('response_type')).toBe('token')
+      expect(popup.close).toHaveBeenCalled()
+      expect(token).toBeTruthy()
+      client.disconnect()
+    })
+
+    test('rejects when authorization is denied', async () => {
+      server.denyAuthorization = true
+      const popup = stubPopup()
+      const client = new ImmersClient(destination)
+      await expect(client.login(tokenCatcherURL, 'friends', handle)).rejects.toThrow(ImmersAuthDeniedError)
+      expect(popup.close).toHaveBeenCalled()
+      expect(document.body.classList.contains('immers-authorizing')).toBe(false)
+      expect(client.connected).toBe(false)
+    })
+
+    test('rejects when the login window is closed', async () => {
+      const popup = stubPopup({ authorize: false })
+      const client = new ImmersClient(destination)
+      const login = client.login(tokenCatcherURL, 'friends', handle)
+      expect(document.body.classList.contains('immers-authorizing')).toBe(true)
+      popup.closed = true
+      await expect(login).rejects.toThrow(ImmersAuthCancelledError)
+      expect(document.body.classList.contains('immers-authorizing')).toBe(false)
+    })
+
+    test('rejects when the login window is blocked', async () => {
+      window.open = jest.fn(() => null)
+      window.alert = jest.fn()
+      const client = new ImmersClient(destination)
+      await expect(client.login(tokenCatcherURL, 'friends', handle)).rejects.toThrow(ImmersAuthCancelledError)
+      expect(window.alert).toHaveBeenCalled()
+      expect(loadPendingLogin()).toBeNull()
+    })
+
+    test('falls back to a redirect when blocked in auto mode', async () => {
+      // jsdom can't navigate
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      window.open = jest.fn(() => null)
+      window.alert = jest.fn()
+      const client = new ImmersClient(destination)
+      client.login(tokenCatcherURL, 'friends', handle, { mode: 'auto' })
+      await waitFor(() => loadPendingLogin())
+      expect(window.alert).not.toHaveBeenCalled()
+      expect(loadPendingLogin()).toMatchObject({ handle, redirectURI: tokenCatcherURL, expectedImmer: server.host })
+    })
+
+    test('times out', async () => {
+      const popup = stubPopup({ authorize: false })
+      const client = new ImmersClient(destination)
+      await expect(client.login(tokenCatcherURL, 'friends', handle, { timeout: 50 })).rejects.toThrow(ImmersAuthTimeoutError)
+      expect(popup.close).toHaveBeenCalled()
+    })
+  })
+
+  describe('redirect login', () => {
+    beforeEach(() => {
+      // jsdom can't navigate
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    test('completes the session after returning to the page', async () => {
+      const storage = memoryStorage()
+      const first = new ImmersClient(destination, { storage })
+      first.login(window.location.href, 'friends', handle, { mode: 'redirect', pkce: true })
+      await waitFor(() => loadPendingLogin())
+      expect(loadPendingLogin()).toMatchObject({
+        handle,
+        requestedRole: 'friends',
+        returnTo: window.location.href,
+        expectedImmer: server.host,
+        codeVerifier: expect.any(String)
+      })
+      await authorizeAt(pendingAuthorizationURL('friends'))
+      // after returning to the page
+      const client = new ImmersClient(destination, { storage })
+      expect(await client.redirectLoginComplete).toBe(true)
+      expect(client.connected).toBe(true)
+      expect(client.handle).toBe(handle)
+      expect(client.authorizedScopes).toEqual(['friends'])
+      expect(loadPendingLogin()).toBeNull()
+      client.disconnect()
+    })
+
+    test('restores pending state to add requested scopes', async () => {
+      const storage = memoryStorage()
+      const first = new ImmersClient(destination, { storage })
+      await first.loginWithToken(server.issueToken('tester', 'viewProfile'), server.origin, 'viewProfile')
+      first.requestScopes(['viewFriends'], window.location.href, { mode: 'redirect', pkce: true })
+      await waitFor(() => loadPendingLogin())
+      expect(loadPendingLogin().previousScopes).toEqual(['viewProfile'])
+      first.disconnect()
+      await authorizeAt(pendingAuthorizationURL('viewFriends'))
+      // after returning to the page
+      const client = new ImmersClient(destination, { storage })
+      const scopesChanged = jest.fn()
+      client.addEventListener('immers-client-scopes-changed', scopesChanged)
+      expect(await client.redirectLoginComplete).toBe(true)
+      expect(client.authorizedScopes).toEqual(['viewProfile', 'viewFriends'])
+      expect(scopesChanged.mock.calls[0][0].detail.addedScopes).toEqual(['viewFriends'])
+      client.disconnect()
+    })
+
+    test('reports denied authorization after returning to the page', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      server.denyAuthorization = true
+      const first = new ImmersClient(destination)
+      first.login(window.location.href, 'friends', handle, { mode: 'redirect', pkce: true })
+      await waitFor(() => loadPendingLogin())
+      await authorizeAt(pendingAuthorizationURL('friends'))
+      const client = new ImmersClient(destination)
+      const loginError = jest.fn()
+      client.addEventListener('immers-client-login-error', loginError)
+      expect(await client.redirectLoginComplete).toBe(false)
+      expect(loginError.mock.calls[0][0].detail.error).toBeInstanceOf(ImmersAuthDeniedError)
+      expect(client.connected).toBe(false)
+      expect(loadPendingLogin()).toBeNull()
+    })
+  })
+
+  describe('session renewal', () => {
+    test('renews silently with the options used to login', async () => {
+      const storage = memoryStorage()
+      stubPopup()
+      const first = new ImmersClient(destination, { storage })
+      const token = await first.login(tokenCatcherURL, 'friends', handle, { pkce: true })
+      await waitFor(() => storage.getItem(IMMERS_STORE_KEY))
+      first.disconnect()
+      // after reloading the page
+      const client = new ImmersClient(destination, { storage, silentReauth: true })
+      expect(await client.restoreSession()).toBe(true)
+      await client.getBlockedUsers()
+      const frames = loadFrames()
+      const streaming = client.streaming
+      server.revokeToken(token)
+      await expect(client.friendsList()).rejects.toThrow()
+      await waitFor(() => client.streaming !== streaming)
+      frames.stop()
+      expect(client.connected).toBe(true)
+      expect(await client.friendsList()).toEqual([])
+      const params = new URL(frames[0]).searchParams
+      expect(params.get('redirect_uri')).toBe(tokenCatcherURL)
+      expect(params.get('response_type')).toBe('code')
+      expect(params.get('code_challenge')).toBeTruthy()
+      client.disconnect()
+    })
+  })
+})
@@ -0,0 +1,594 @@
+import { createServer } from 'http'
+import { createHash, randomUUID } from 'crypto'
+import { Server as SocketServer } from 'socket.io'
+
+const JSONLDMime = 'application/activity+json'
+const ActivityTypes = [
+  'Accept', 'Add', 'Announce', 'Arrive', 'Block', 'Create', 'Delete', 'Follow', 'Leave',
+  'Like', 'Offer', 'Reject', 'Remove', 'Undo', 'Update'
+]
+
+/**
+ * @typedef {object} MockUser
+ * @property {APActor} actor
+ * @property {APActivity[]} inbox Newest first
+ * @property {APActivity[]} outbox Newest first
+ * @property {APActivity[]} friends Latest activity for each friend, newest first
+ * @property {IRI[]} blocked
+ * @property {APActivity[]} avatars Newest first
+ */
+
+/**
+ * @typedef {object} MockRequest
+ * @property {string} method
+ * @property {string} path Path and query
+ * @property {object} headers Lowercase header names and values
+ * @property {string} [username] User authenticated by the request's token
+ */
+
+/**
+ * In-process stand-in for an Immers Server, for testing integrations without a live server.
+ * Implements the endpoints used by immers-client over HTTP (OAuth, WebFinger, NodeInfo, actors,
+ * paged inbox/outbox/friends/blocked/avatars collections, the object proxy, and media upload)
+ * and the socket.io streaming API. Requires the socket.io package.
+ * Only plain HTTP is served, so use the server's origin (not just host) as the home immer.
+ * @example
+ * import { MockImmersServer } from 'immers-client/testing'
+ * const server = new MockImmersServer()
+ * await server.start()
+ * const token = server.issueToken('tester', '*')
+ * await client.loginWithToken(token, server.origin, '*')
+ * server.deliver('tester', { type: 'Create', actor: server.user('friend').actor.id, object: { type: 'Note', content: 'Hi' } })
+ * await server.stop()
+ */
+export class MockImmersServer {
+  /**
+   * Items per collection page
+   * @type {number}
+   */
+  pageSize
+  /**
+   * Respond to authorization requests with access_denied
+   * @type {boolean}
+   */
+  denyAuthorization = false
+  /**
+   * Milliseconds to wait before responding to media uploads, to simulate a slow connection
+   * @type {number}
+   */
+  uploadDelay = 0
+  /**
+   * Requests received, oldest first
+   * @type {MockRequest[]}
+   */
+  requests = []
+  #users = new Map()
+  #tokens = new Map()
+  #codes = new Map()
+  #objects = new Map()
+  #media = new Map()
+  #http
+  #io
+  #port
+  #initialUsers
+  /**
+   * @param  {object} [options]
+   * @param  {string} [options.name='Mock Immer'] Immer name reported in NodeInfo
+   * @param  {number} [options.pageSize=20] Items per collection page
+   * @param  {string[]} [options.users=['tester']] Usernames to create
+   */
+  constructor ({ name = 'Mock Immer', pageSize = 20, users = ['tester'] } = {}) {
+    this.name = name
+    this.pageSize = pageSize
+    this.#http = createServer((req, res) => {
+      this.#handle(req, res).catch(err => {
+        send(res, 500, { error: err.message })
+      })
+    })
+    this.#io = new SocketServer(this.#http, { cors: { origin: true, credentials: true } })
+    this.#io.use((socket, next) => {
+      const username = this.#authenticate(socket.handshake.headers.authorization ?? `Bearer ${socket.handshake.auth?.token}`)
+      if (!username) {
+        return next(new Error('Unauthorized'))
+      }
+      socket.data.username = username
+      next()
+    })
+    this.#io.on('connection', socket => this.#onSocket(socket))
+    // created once the port is known
+    this.#initialUsers = users
+  }
+
+  /**
+   * Origin of the running server, e.g. http://localhost:1234
+   * @type {string}
+   */
+  get origin () {
+    return `http://localhost:${this.#port}`
+  }
+
+  /**
+   * Host of the running server, as used in handles
+   * @type {string}
+   */
+  get host () {
+    return `localhost:${this.#port}`
+  }
+
+  /**
+   * Start listening
+   * @param  {number} [port=0] Defaults to any available port
+   * @returns {Promise<string>} Origin of the server
+   */
+  start (port = 0) {
+    return new Promise((resolve, reject) => {
+      this.#http.once('error', reject)
+      this.#http.listen(port, 'localhost', () => {
+        this.#port = this.#http.address().port
+        this.#initialUsers.splice(0).forEach(username => this.addUser(username))
+        resolve(this.origin)
+      })
+    })
+  }
+
+  /**
+   * Disconnect all sockets and stop listening
+   * @returns {Promise}
+   */
+  stop () {
+    return new Promise(resolve => {
+      this.#io.close(() => resolve())
+      // don't wait for idle keep-alive connections
+      this.#http.closeAllConnections?.()
+    })
+  }
+
+  /**
+   * Create a user account. Must be called after {@link start} so IRIs include the port
+   * @param  {string} username
+   * @param  {object} [profile] Additional actor properties, e.g. name, icon
+   * @returns {MockUser}
+   */
+  addUser (username, profile = {}) {
+    const id = `${this.origin}/u/${username}`
+    const actor = {
+      '@context': ['https://www.w3.org/ns/activitystreams'],
+      id,
+      type: 'Person',
+      preferredUsername: username,
+      name: username,
+      inbox: `${this.origin}/inbox/${username}`,
+      outbox: `${this.origin}/outbox/${username}`,
+      followers: `${this.origin}/followers/${username}`,
+      following: `${this.origin}/following/${username}`,
+      streams: {
+        blocked: `${this.origin}/blocked/${username}`,
+        avatars: `${this.origin}/collection/${username}/avatars`
+      },
+      endpoints: {
+        friends: `${id}/friends`,
+        proxyUrl: `${this.origin}/proxy`,
+        uploadMedia: `${this.origin}/media`,
+        oauthAuthorizationEndpoint: `${this.origin}/auth/authorize`,
+        oauthTokenEndpoint: `${this.origin}/auth/token`
+      },
+      ...profile
+    }
+    const user = { actor, inbox: [], outbox: [], friends: [], blocked: [], avatars: [] }
+    this.#users.set(username, user)
+    this.#objects.set(id, actor)
+    return user
+  }
+
+  /**
+   * @param  {string} username
+   * @returns {MockUser}
+   */
+  user (username) {
+    const user = this.#users.get(username)
+    if (!user) {
+      throw new Error(`Unknown user ${username}`)
+    }
+    return user
+  }
+
+  /**
+   * Create an access token as if the user had authorized it
+   * @param  {string} username
+   * @param  {(string|string[])} [scopes='*']
+   * @returns {string}
+   */
+  issueToken (username, scopes = '*') {
+    this.user(username)
+    const token = randomUUID()
+    this.#tokens.set(token, { username, scope: [].concat(scopes).join(' ') })
+    return token
+  }
+
+  /**
+   * Invalidate an access token, e.g. to test session expiry
+   * @param  {string} token
+   */
+  revokeToken (token) {
+    this.#tokens.delete(token)
+  }
+
+  /**
+   * Add an activity to a user's inbox and stream it to their connected clients
+   * @param  {string} username
+   * @param  {APActivity} activity Assigned an id and published time if missing
+   * @returns {APActivity}
+   */
+  deliver (username, activity) {
+    const stored = this.#store(activity)
+    this.user(username).inbox.unshift(stored)
+    this.#io.to(username).emit('inbox-update', JSON.stringify(this.#embedActor(stored)))
+    return stored
+  }
+
+  /**
+   * Set the latest activity from or to a friend, e.g. an Arrive when they come online,
+   * and notify the user's connected clients
+   * @param  {string} username
+   * @param  {APActivity} activity The friend is the actor, except for a Follow sent by the user
+   * @returns {APActivity}
+   */
+  updateFriend (username, activity) {
+    const stored = this.#store(activity)
+    const user = this.user(username)
+    const friendId = friendOf(stored, user.actor.id)
+    user.friends = [stored, ...user.friends.filter(existing => friendOf(existing, user.actor.id) !== friendId)]
+    this.#io.to(username).emit('friends-update')
+    return stored
+  }
+
+  /**
+   * Add an actor to a user's blocklist, as if the user had posted a Block activity
+   * @param  {string} username
+   * @param  {IRI} actorId
+   * @returns {APActivity} The Block activity
+   */
+  block (username, actorId) {
+    return this.#post(username, { type: 'Block', object: actorId })
+  }
+
+  /**
+   * Stored object or activity by IRI
+   * @param  {IRI} iri
+   * @returns {(APObject|undefined)}
+   */
+  getObject (iri) {
+    return this.#objects.get(iri)
+  }
+
+  #onSocket (socket) {
+    const { username } = socket.data
+    socket.join(username)
+    socket.on('entered', message => {
+      socket.data.leave = message?.leave
+    })
+    socket.on('disconnect', () => {
+      if (socket.data.leave) {
+        this.#post(username, socket.data.leave)
+      }
+    })
+  }
+
+  async #handle (req, res) {
+    const url = new URL(req.url, this.origin)
+    const path = url.pathname
+    const username = this.#authenticate(req.headers.authorization)
+    const body = req.method === 'POST' ? await readBody(req) : undefined
+    this.requests.push({ method: req.method, path: req.url, headers: req.headers, username })
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin ?? '*')
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type')
+    res.setHeader('Access-Control-Expose-Headers', 'Location')
+    if (req.method === 'OPTIONS') {
+      return send(res, 204)
+    }
+    let match
+    if (req.method === 'GET' && path === '/auth/authorize') {
+      return this.#authorize(url.searchParams, res)
+    }
+    if (req.method === 'POST' && path === '/auth/token') {
+      return this.#exchangeToken(new URLSearchParams(body.toString()), res)
+    }
+    if (req.method === 'GET' && path === '/auth/me') {
+      return username ? send(res, 200, this.user(username).actor, JSONLDMime) : send(res, 401)
+    }
+    if (req.method === 'GET' && path === '/.well-known/webfinger') {
+      return this.#webfinger(url.searchParams.get('resource'), res)
+    }
+    if (req.method === 'GET' && path === '/.well-known/nodeinfo') {
+      return send(res, 200, {
+        links: [{ rel: 'http://nodeinfo.diaspora.software/ns/schema/2.1', href: `${this.origin}/nodeinfo/2.1` }]
+      })
+    }
+    if (req.method === 'GET' && path === '/nodeinfo/2.1') {
+      return send(res, 200, this.#nodeinfo())
+    }
+    if (req.method === 'GET' && (match = /^\/u\/([^/]+)$/.exec(path)) && this.#users.has(match[1])) {
+      return send(res, 200, this.user(match[1]).actor, JSONLDMime)
+    }
+    if ((match = /^\/(inbox|outbox|blocked)\/([^/]+)$/.exec(path) ?? /^\/u\/([^/]+)\/(friends)$/.exec(path) ?? /^\/collection\/([^/]+)\/(avatars)$/.exec(path))) {
+      const [collection, owner] = match[1] === 'inbox' || match[1] === 'outbox' || match[1] === 'blocked'
+        ? [match[1], match[2]]
+        : [match[2], match[1]]
+      if (!this.#users.has(owner)) {
+        return send(res, 404)
+      }
+      if (req.method === 'POST' && collection === 'outbox') {
+        if (username !== owner) {
+          return send(res, username ? 403 : 401)
+        }
+        const activity = this.#post(owner, JSON.parse(body.toString()))
+        return activity
+          ? send(res, 201, undefined, undefined, { Location: activity.id })
+          : send(res, 400, { error: 'Undo must reference an activity by the same actor' })
+      }
+      // only public collections may be viewed by others
+      if (req.method === 'GET' && (collection === 'outbox' || collection === 'avatars' || username === owner)) {
+        return send(res, 200, this.#collectionPage(owner, collection, url), JSONLDMime)
+      }
+      return send(res, username ? 403 : 401)
+    }
+    if (req.method === 'POST' && path === '/proxy') {
+      if (!username) {
+        return send(res, 401)
+      }
+      const object = this.#objects.get(new URLSearchParams(body.toString()).get('id'))
+      return object ? send(res, 200, object, JSONLDMime) : send(res, 404)
+    }
+    if (req.method === 'POST' && path === '/media') {
+      return username ? this.#upload(username, req, body, res) : send(res, 401)
+    }
+    if (req.method === 'GET' && this.#media.has(url.href)) {
+      const { type, data } = this.#media.get(url.href)
+      res.writeHead(200, { 'Content-Type': type })
+      return res.end(data)
+    }
+    if (req.method === 'GET' && this.#objects.has(url.href)) {
+      return send(res, 200, this.#embedActor(this.#objects.get(url.href)), JSONLDMime)
+    }
+    send(res, 404)
+  }
+
+  #authenticate (authorization) {
+    const token = /^Bearer (.+)$/.exec(authorization ?? '')?.[1]
+    return this.#tokens.get(token)?.username
+  }
+
+  #authorize (params, res) {
+    const redirect = new URL(params.get('redirect_uri'))
+    const state = params.get('state')
+    const username = params.get('me')?.split(/[@[]/)[0]
+    const reply = values => {
+      if (params.get('response_type') === 'code') {
+        Object.entries(values).forEach(([key, value]) => redirect.searchParams.set(key, value))
+      } else {
+        redirect.hash = new URLSearchParams(values).toString()
+      }
+      res.writeHead(302, { Location: redirect.href })
+      res.end()
+    }
+    if (this.denyAuthorization || !this.#users.has(username)) {
+      return reply({ error: 'access_denied', state })
+    }
+    const scope = params.get('scope') ?? '*'
+    if (params.get('response_type') === 'code') {
+      const code = randomUUID()
+      this.#codes.set(code, {
+        username,
+        scope,
+        redirectURI: params.get('redirect_uri'),
+        challenge: params.get('code_challenge')
+      })
+      return reply({ code, state, issuer: this.origin })
+    }
+    reply({ access_token: this.issueToken(username, scope), token_type: 'Bearer', scope, state, issuer: this.origin })
+  }
+
+  #exchangeToken (params, res) {
+    const grant = this.#codes.get(params.get('code'))
+    this.#codes.delete(params.get('code'))
+    const verifier = params.get('code_verifier') ?? ''
+    const challenge = createHash('sha256').update(verifier).digest('base64url')
+    if (!grant || grant.redirectURI !== params.get('redirect_uri') || (grant.challenge && grant.challenge !== challenge)) {
+      return send(res, 400, { error: 'invalid_grant' })
+    }
+    send(res, 200, {
+      access_token: this.issueToken(grant.username, grant.scope),
+      token_type: 'Bearer',
+      scope: grant.scope
+    })
+  }
+
+  #webfinger (resource, res) {
+    const [, username, host] = /^acct:([^@]+)@(.+)$/.exec(resource ?? '') ?? []
+    if (host !== this.host || !this.#users.has(username)) {
+      return send(res, 404)
+    }
+    send(res, 200, {
+      subject: resource,
+      links: [{ rel: 'self', type: JSONLDMime, href: this.user(username).actor.id }]
+    }, 'application/jrd+json')
+  }
+
+  #nodeinfo () {
+    return {
+      version: '2.1',
+      software: { name: 'immers', version: 'mock' },
+      protocols: ['activitypub'],
+      services: { inbound: [], outbound: [] },
+      openRegistrations: false,
+      usage: { users: { total: this.#users.size } },
+      metadata: {
+        nodeName: this.name,
+        oauthAuthorizationEndpoint: `${this.origin}/auth/authorize`,
+        oauthTokenEndpoint: `${this.origin}/auth/token`
+      }
+    }
+  }
+
+  #collectionPage (owner, collection, url) {
+    const items = this.user(owner)[collection]
+    const id = `${url.origin}${url.pathname}`
+    const page = Number(url.searchParams.get('page'))
+    if (!page) {
+      return {
+        '@context': 'https://www.w3.org/ns/activitystreams',
+        id,
+        type: 'OrderedCollection',
+        totalItems: items.length,
+        first: `${id}?page=1`
+      }
+    }
+    const start = (page - 1) * this.pageSize
+    const result = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      id: `${id}?page=${page}`,
+      type: 'OrderedCollectionPage',
+      partOf: id,
+      orderedItems: items.slice(start, start + this.pageSize)
+        .map(item => typeof item === 'string' ? item : this.#embedActor(item))
+    }
+    if (start + this.pageSize < items.length) {
+      result.next = `${id}?page=${page + 1}`
+    }
+    return result
+  }
+
+  async #upload (username, req, body, res) {
+    if (this.uploadDelay) {
+      await new Promise(resolve => setTimeout(resolve, this.uploadDelay))
+    }
+    const form = await new globalThis.Response(body, { headers: { 'Content-Type': req.headers['content-type'] } }).formData()
+    const object = JSON.parse(form.get('object'))
+    for (const [field, property] of [['file', 'url'], ['icon', 'icon']]) {
+      const file = form.get(field)
+      if (file) {
+        const href = `${this.origin}/media/${randomUUID()}/${file.name}`
+        this.#media.set(href, { type: file.type, data: Buffer.from(await file.arrayBuffer()) })
+        object[property] = href
+      }
+    }
+    const activity = this.#post(username, object)
+    send(res, 201, undefined, undefined, { Location: activity.id })
+  }
+
+  // process an activity posted to a user's outbox, returns undefined if it is rejected
+  #post (username, activity) {
+    const user = this.user(username)
+    if (!ActivityTypes.includes(activity.type)) {
+      // bare objects are wrapped in a Create activity
+      activity = { type: 'Create', actor: user.actor.id, to: activity.to, object: activity }
+    }
+    if (activity.type === 'Undo') {
+      // like servers that resolve the undone activity by id, which is then embedded as stored
+      const undone = this.#objects.get(activity.object?.id ?? activity.object)
+      if (!undone || (undone.actor?.id ?? undone.actor) !== user.actor.id) {
+        return
+      }
+      activity = { ...activity, object: undone }
+    }
+    const stored = this.#store({ ...activity, actor: user.actor.id })
+    user.outbox.unshift(stored)
+    switch (stored.type) {
+      case 'Create':
+        if (stored.object.type === 'Model') {
+          user.avatars.unshift(stored)
+        }
+        break
+      case 'Add':
+        if (stored.target === user.actor.streams.avatars) {
+          const added = typeof stored.object === 'string' ? this.#objects.get(stored.object) : stored.object
+          user.avatars.unshift(added ?? stored)
+        }
+        break
+      case 'Remove':
+        if (stored.target === user.actor.streams.avatars) {
+          const removedId = stored.object?.id ?? stored.object
+          user.avatars = user.avatars.filter(item => item.id !== removedId)
+        }
+        break
+      case 'Block':
+        if (!user.blocked.includes(stored.object)) {
+          user.blocked.unshift(stored.object)
+        }
+        break
+      case 'Undo':
+        if (stored.object?.type === 'Block') {
+          user.blocked = user.blocked.filter(id => id !== stored.object.object)
+        }
+        break
+      case 'Update':
+        if (stored.object?.id === user.actor.id) {
+          Object.assign(user.actor, stored.object)
+        } else {
+          this.#updateObject(user, stored.object?.id, stored.object)
+        }
+        break
+      case 'Delete': {
+        const id = stored.object?.id ?? stored.object
+        this.#updateObject(user, id, { type: 'Tombstone', formerType: this.#objects.get(id)?.type, deleted: stored.published }, true)
+        break
+      }
+    }
+    this.#io.to(username).emit('outbox-update', JSON.stringify(this.#embedActor(stored)))
+    return stored
+  }
+
+  // objects embedded in the user's activities are the same instances as in #objects, so changes apply to both
+  #updateObject (user, id, changes, replace) {
+    const object = this.#objects.get(id)
+    if (object?.attributedTo !== user.actor.id) {
+      return
+    }
+    if (replace) {
+      Object.keys(object).filter(key => key !== 'id').forEach(key => delete object[key])
+    }
+    Object.assign(object, changes)
+  }
+
+  #store (activity) {
+    const stored = {
+      '@context': 'https://www.w3.org/ns/activitystreams',
+      ...activity,
+      id: activity.id ?? `${this.origin}/s/${randomUUID()}`,
+      published: activity.published ?? new Date().toISOString()
+    }
+    if (typeof stored.object === 'object' && !stored.object.id) {
+      stored.object = { ...stored.object, id: `${this.origin}/o/${randomUUID()}` }
+      this.#objects.set(stored.object.id, stored.object)
+    }
+    this.#objects.set(stored.id, stored)
+    return stored
+  }
+
+  // clients expect actors to be embedded in activities
+  #embedActor (activity) {
+    if (typeof activity.actor !== 'string') {
+      return activity
+    }
+    return { ...activity, actor: this.#objects.get(activity.actor) ?? activity.actor }
+  }
+}
+
+function friendOf (activity, userId) {
+  const actorId = activity.actor?.id ?? activity.actor
+  return actorId === userId ? (activity.object?.id ?? activity.object) : actorId
+}
+
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+function send (res, status, body, contentType = 'application/json', headers = {}) {
+  res.writeHead(status, body === undefined ? headers : { ...headers, 'Content-Type': contentType })
+  res.end(body === undefined ? undefined : JSON.stringify(body))
+}
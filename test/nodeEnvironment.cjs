@@ -0,0 +1,18 @@
+const NodeEnvironment = require('jest-environment-node')
+
+// jest 27 predates Node's web platform globals; expose them as they are outside of tests
+const webGlobals = [
+  'fetch', 'Headers', 'Request', 'Response', 'FormData', 'Blob', 'AbortController', 'AbortSignal',
+  'Event', 'EventTarget', 'CustomEvent', 'BroadcastChannel', 'DOMException', 'crypto', 'structuredClone', 'btoa', 'atob'
+]
+
+module.exports = class WebNodeEnvironment extends NodeEnvironment {
+  constructor (config, context) {
+    super(config, context)
+    webGlobals
+      .filter(name => this.global[name] === undefined && globalThis[name] !== undefined)
+      .forEach(name => { this.global[name] = globalThis[name] })
+    // Node.js 18 only provides WebCrypto as a module
+    this.global.crypto ??= require('crypto').webcrypto
+  }
+}
@@ -0,0 +1,4 @@
+// import .html and .css files as strings, as webpack's asset/source and css-loader do
+module.exports = {
+  process: source => `module.exports = ${JSON.stringify(source)}`
+}
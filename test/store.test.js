@@ -0,0 +1,224 @@
+/* eslint-env jest */
+import { jest } from '@jest/globals'
+import { IDBFactory } from 'fake-indexeddb'
+import { configureEnvironment } from '../source/environment.js'
+import { indexedDBStorage, memoryStorage, resolveStorage, webStorage } from '../source/storage.js'
+import { createStore, encryptCredentials, flushStore, IMMERS_STORE_KEY, reloadStore, storeReady, STORE_VERSION } from '../source/store.js'
+
+const credential = { token: 'secret-token', homeImmer: 'https://immers.example', authorizedScopes: ['viewProfile'] }
+
+// Storage interface of localStorage and sessionStorage
+function fakeWebStorage () {
+  const items = new Map()
+  return {
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  }
+}
+
+describe('storage adapters', () => {
+  beforeEach(() => {
+    configureEnvironment({ indexedDB: new IDBFactory() })
+  })
+
+  test('memory storage', () => {
+    const storage = memoryStorage()
+    storage.setItem('key', { value: 1 })
+    expect(storage.getItem('key')).toEqual({ value: 1 })
+    storage.removeItem('key')
+    expect(storage.getItem('key')).toBeUndefined()
+  })
+
+  test('web storage serializes values', () => {
+    const backing = fakeWebStorage()
+    const storage = webStorage(backing)
+    storage.setItem('key', { value: 1 })
+    expect(backing.getItem('key')).toBe('{"value":1}')
+    expect(storage.getItem('key')).toEqual({ value: 1 })
+    backing.setItem('key', 'not json')
+    expect(storage.getItem('key')).toBeUndefined()
+    storage.removeItem('key')
+    expect(storage.getItem('missing')).toBeUndefined()
+  })
+
+  test('indexeddb storage', async () => {
+    const storage = indexedDBStorage('test-db')
+    await storage.setItem('key', { value: 1 })
+    expect(await indexedDBStorage('test-db').getItem('key')).toEqual({ value: 1 })
+    await storage.removeItem('key')
+    expect(await storage.getItem('key')).toBeUndefined()
+  })
+
+  test('resolves storage names', () => {
+    const custom = memoryStorage()
+    expect(resolveStorage(custom)).toBe(custom)
+    expect(resolveStorage('memory').getItem('key')).toBeUndefined()
+    expect(() => resolveStorage('local')).toThrow('localStorage is not available')
+    expect(() => resolveStorage('cloud')).toThrow('Unknown storage type cloud')
+    configureEnvironment({ localStorage: fakeWebStorage() })
+    resolveStorage('local').setItem('key', { value: 1 })
+    expect(resolveStorage('local').getItem('key')).toEqual({ value: 1 })
+    configureEnvironment({ localStorage: undefined })
+  })
+})
+
+describe('store', () => {
+  test('persists nested updates', async () => {
+    const adapter = memoryStorage()
+    const store = createStore(adapter)
+    await storeReady(store)
+    store.credential = { ...credential }
+    store.credential.authorizedScopes.push('viewFriends')
+    store.handle = 'tester[immers.example]'
+    delete store.handle
+    await flushStore(store)
+    expect(adapter.getItem(IMMERS_STORE_KEY)).toEqual({
+      version: STORE_VERSION,
+      data: { credential: { ...credential, authorizedScopes: ['viewProfile', 'viewFriends'] } }
+    })
+    const reloaded = createStore(adapter)
+    await storeReady(reloaded)
+    expect(reloaded.credential.authorizedScopes).toEqual(['viewProfile', 'viewFriends'])
+  })
+
+  test('keeps writes made while loading', async () => {
+    const adapter = memoryStorage()
+    adapter.setItem(IMMERS_STORE_KEY, { version: STORE_VERSION, data: { handle: 'old', credential } })
+    const store = createStore(adapter)
+    store.handle = 'new'
+    await storeReady(store)
+    await flushStore(store)
+    expect(store.handle).toBe('new')
+    expect(store.credential).toEqual(credential)
+    expect(adapter.getItem(IMMERS_STORE_KEY).data.handle).toBe('new')
+  })
+
+  test('reloads data saved elsewhere', async () => {
+    const adapter = memoryStorage()
+    const store = createStore(adapter)
+    const other = createStore(adapter)
+    await Promise.all([storeReady(store), storeReady(other)])
+    other.handle = 'tester[immers.example]'
+    await flushStore(other)
+    expect(store.handle).toBeUndefined()
+    await reloadStore(store)
+    expect(store.handle).toBe('tester[immers.example]')
+  })
+
+  test('keeps data separate for each namespace', async () => {
+    const adapter = memoryStorage()
+    const store = createStore(adapter, 'one.example')
+    await storeReady(store)
+    store.handle = 'tester[one.example]'
+    await flushStore(store)
+    const other = createStore(adapter, 'two.example')
+    await storeReady(other)
+    expect(other.handle).toBeUndefined()
+  })
+
+  describe('migrations', () => {
+    test(`upgrades unversioned data to version ${STORE_VERSION}`, async () => {
+      const adapter = memoryStorage()
+      adapter.setItem(IMMERS_STORE_KEY, { handle: 'tester[immers.example]', credential, cachedActors: {} })
+      const store = createStore(adapter)
+      await storeReady(store)
+      await flushStore(store)
+      const expected = {
+        handle: 'tester[immers.example]',
+        credential,
+        accounts: { 'tester[immers.example]': { credential } }
+      }
+      expect(JSON.parse(JSON.stringify(store))).toEqual(expected)
+      expect(adapter.getItem(IMMERS_STORE_KEY)).toEqual({ version: STORE_VERSION, data: expected })
+    })
+
+    test('removes cached actors from version 2 data', async () => {
+      const adapter = memoryStorage()
+      const accounts = { 'tester[immers.example]': { credential } }
+      adapter.setItem(IMMERS_STORE_KEY, { version: 2, data: { credential, accounts, cachedActors: {} } })
+      const store = createStore(adapter)
+      await storeReady(store)
+      await flushStore(store)
+      expect(adapter.getItem(IMMERS_STORE_KEY)).toEqual({ version: STORE_VERSION, data: { credential, accounts } })
+    })
+
+    test('adopts data saved before namespacing', async () => {
+      const adapter = memoryStorage()
+      adapter.setItem(IMMERS_STORE_KEY, { handle: 'tester[immers.example]', credential })
+      const store = createStore(adapter, 'immers.example')
+      await storeReady(store)
+      await flushStore(store)
+      expect(store.handle).toBe('tester[immers.example]')
+      expect(adapter.getItem(IMMERS_STORE_KEY)).toBeUndefined()
+      expect(adapter.getItem(`${IMMERS_STORE_KEY}:immers.example`).version).toBe(STORE_VERSION)
+    })
+  })
+
+  describe('credential encryption', () => {
+    beforeEach(() => {
+      configureEnvironment({ indexedDB: new IDBFactory() })
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    async function saveCredentials (adapter) {
+      const store = createStore(adapter)
+      await storeReady(store)
+      store.credential = credential
+      store.accounts = { 'tester[immers.example]': { credential, profile: { displayName: 'Tester' } } }
+      await flushStore(store)
+      return store
+    }
+
+    async function loadStore (adapter) {
+      const store = createStore(adapter)
+      await storeReady(store)
+      return store
+    }
+
+    test('encrypts saved tokens', async () => {
+      const backing = memoryStorage()
+      await saveCredentials(encryptCredentials(backing))
+      const saved = backing.getItem(IMMERS_STORE_KEY)
+      expect(JSON.stringify(saved)).not.toContain(credential.token)
+      expect(saved.data.credential.encrypted).toEqual({ iv: expect.any(String), ciphertext: expect.any(String) })
+      expect(saved.data.accounts['tester[immers.example]'].profile).toEqual({ displayName: 'Tester' })
+      // e.g. after a page reload
+      const store = await loadStore(encryptCredentials(backing))
+      expect(store.credential).toEqual(credential)
+      expect(store.accounts['tester[immers.example]'].credential).toEqual(credential)
+    })
+
+    test('encrypts credentials saved before encryption was enabled', async () => {
+      const backing = memoryStorage()
+      await saveCredentials(backing)
+      const store = await loadStore(encryptCredentials(backing))
+      expect(store.credential).toEqual(credential)
+      store.handle = 'tester[immers.example]'
+      await flushStore(store)
+      expect(JSON.stringify(backing.getItem(IMMERS_STORE_KEY))).not.toContain(credential.token)
+    })
+
+    test('saved tokens are unreadable once the key is wiped', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const backing = memoryStorage()
+      const adapter = encryptCredentials(backing)
+      const store = await saveCredentials(adapter)
+      const saved = backing.getItem(IMMERS_STORE_KEY)
+      await adapter.wipeKey()
+      const reloaded = await loadStore(encryptCredentials(backing))
+      expect(reloaded.credential).toBeUndefined()
+      expect(reloaded.accounts).toEqual({})
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unable to decrypt saved credential'))
+      // anything still saved is encrypted with a new key
+      store.handle = 'tester[immers.example]'
+      await flushStore(store)
+      const resaved = backing.getItem(IMMERS_STORE_KEY)
+      expect(resaved.data.credential.encrypted.ciphertext).not.toBe(saved.data.credential.encrypted.ciphertext)
+      expect((await loadStore(encryptCredentials(backing))).credential).toEqual(credential)
+    })
+  })
+})
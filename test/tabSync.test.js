@@ -0,0 +1,72 @@
+/**
+ * @jest-environment ./test/jsdomEnvironment.cjs
+ */
+/* eslint-env jest */
+import { jest } from '@jest/globals'
+import { IMMERS_STORE_KEY } from '../source/store.js'
+import { TabSync } from '../source/tabSync.js'
+
+describe('TabSync with storage events', () => {
+  const tabs = []
+
+  function openTab (namespace) {
+    const tab = new TabSync(namespace)
+    const messages = []
+    tab.addEventListener('immers-tab-sync-message', ({ detail }) => messages.push(detail))
+    tabs.push(tab)
+    return { tab, messages }
+  }
+
+  beforeEach(() => {
+    // jsdom only fires storage events in other windows, so relay writes as other tabs would see them
+    const { setItem } = window.Storage.prototype
+    jest.spyOn(window.Storage.prototype, 'setItem').mockImplementation(function (key, newValue) {
+      setItem.call(this, key, newValue)
+      window.dispatchEvent(new window.StorageEvent('storage', { key, newValue, storageArea: this }))
+    })
+  })
+
+  afterEach(() => {
+    tabs.splice(0).forEach(tab => tab.close())
+    jest.restoreAllMocks()
+    window.localStorage.clear()
+  })
+
+  test('relays messages through localStorage', () => {
+    const { tab } = openTab()
+    const { messages } = openTab()
+    tab.post({ type: 'logout', handle: 'tester[immers.example]' })
+    tab.post({ type: 'logout', handle: 'tester[immers.example]' })
+    expect(messages).toEqual([
+      { type: 'logout', handle: 'tester[immers.example]' },
+      { type: 'logout', handle: 'tester[immers.example]' }
+    ])
+    expect(window.localStorage).toHaveLength(0)
+  })
+
+  test('keeps namespaces separate', () => {
+    const { tab } = openTab('one.example')
+    const { messages } = openTab('two.example')
+    const { messages: sameNamespace } = openTab('one.example')
+    tab.post({ type: 'session' })
+    expect(messages).toEqual([])
+    expect(sameNamespace).toEqual([{ type: 'session' }])
+  })
+
+  test('ignores other storage changes', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const { messages } = openTab()
+    window.localStorage.setItem(IMMERS_STORE_KEY, JSON.stringify({ type: 'session' }))
+    window.localStorage.setItem(`${IMMERS_STORE_KEY}:sync`, 'not json')
+    expect(messages).toEqual([])
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Invalid tab sync message'))
+  })
+
+  test('stops listening once closed', () => {
+    const { tab } = openTab()
+    const { tab: closed, messages } = openTab()
+    closed.close()
+    tab.post({ type: 'session' })
+    expect(messages).toEqual([])
+  })
+})
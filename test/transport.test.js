@@ -0,0 +1,190 @@
+/**
+ * @jest-environment ./test/jsdomEnvironment.cjs
+ */
+/* eslint-env jest */
+import { jest } from '@jest/globals'
+import { configureEnvironment } from '../source/environment.js'
+import { ImmersHTTPError } from '../source/errors.js'
+import { Transport, transport } from '../source/transport.js'
+import { MockImmersServer } from './mockImmersServer.js'
+
+describe('transport uploads', () => {
+  let server
+
+  beforeEach(async () => {
+    server = new MockImmersServer()
+    await server.start()
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await server.stop()
+  })
+
+  test('reports upload progress with XMLHttpRequest', async () => {
+    const token = server.issueToken('tester')
+    const body = new window.FormData()
+    body.append('file', new window.Blob(['PNG'], { type: 'image/png' }), 'image.png')
+    body.append('object', JSON.stringify({ type: 'Image', to: [] }))
+    const progress = []
+    const response = await transport.fetch(`${server.origin}/media`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body,
+      onUploadProgress: event => progress.push(event)
+    })
+    expect(response.status).toBe(201)
+    expect(server.getObject(response.headers.get('Location'))).toMatchObject({ type: 'Create', object: { type: 'Image' } })
+    expect(progress.length).toBeGreaterThan(0)
+    const last = progress[progress.length - 1]
+    expect(last.loaded).toBe(last.total)
+  })
+
+  test('reports the request url of XMLHttpRequest responses', async () => {
+    const response = await transport.fetch(`${server.origin}/media`, {
+      method: 'POST',
+      body: new window.FormData(),
+      onUploadProgress: () => {}
+    })
+    expect(response.status).toBe(401)
+    expect(response.url).toBe(`${server.origin}/media`)
+    const err = await ImmersHTTPError.fromResponse(response, { method: 'POST' })
+    expect(err.iri).toBe(`${server.origin}/media`)
+  })
+
+  test('converts network failures to ImmersNetworkError', async () => {
+    // jsdom logs failed requests
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const origin = server.origin
+    await server.stop()
+    await expect(transport.fetch(`${origin}/media`, {
+      method: 'POST',
+      body: 'data',
+      onUploadProgress: () => {}
+    })).rejects.toThrow('failed')
+  })
+})
+
+describe('Transport', () => {
+  let fetch
+
+  beforeEach(() => {
+    fetch = jest.fn(async () => new globalThis.Response('ok'))
+    configureEnvironment({ fetch })
+  })
+
+  afterEach(() => {
+    configureEnvironment({ fetch: (...args) => globalThis.fetch(...args) })
+  })
+
+  // responds in turn, repeating the last
+  function respond (...results) {
+    fetch.mockImplementation(async () => {
+      const result = results.length > 1 ? results.shift() : results[0]
+      if (result instanceof Error) {
+        throw result
+      }
+      return new globalThis.Response(result.body ?? null, { status: result.status })
+    })
+  }
+
+  // never responds unless aborted
+  function hang () {
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new window.DOMException('The operation was aborted', 'AbortError')))
+    }))
+  }
+
+  test('intercepts requests and responses', async () => {
+    const transport = new Transport()
+    const removeRequestInterceptor = transport.useRequest(request => {
+      request.headers['x-request-id'] = 'abc'
+    })
+    transport.useRequest(async request => ({ ...request, url: `${request.url}?intercepted` }))
+    const seen = []
+    transport.useResponse((response, request) => {
+      seen.push([request.method, request.url, response.status])
+    })
+    transport.useResponse(() => new globalThis.Response('replaced'))
+    const response = await transport.fetch('https://immers.example/', { headers: { Accept: 'application/json' } })
+    expect(await response.text()).toBe('replaced')
+    expect(seen).toEqual([['GET', 'https://immers.example/?intercepted', 200]])
+    expect(fetch).toHaveBeenCalledWith('https://immers.example/?intercepted', expect.objectContaining({
+      method: 'GET',
+      headers: { accept: 'application/json', 'x-request-id': 'abc' }
+    }))
+    removeRequestInterceptor()
+    await transport.fetch('https://immers.example/')
+    expect(fetch.mock.calls[1][1].headers).toEqual({})
+  })
+
+  test('retries idempotent requests', async () => {
+    respond(new TypeError('fetch failed'), { status: 503 }, { status: 200, body: 'ok' })
+    const transport = new Transport({ retryDelay: 1 })
+    const intercepted = jest.fn()
+    transport.useRequest(intercepted)
+    const response = await transport.fetch('https://immers.example/')
+    expect(await response.text()).toBe('ok')
+    expect(fetch).toHaveBeenCalledTimes(3)
+    expect(intercepted).toHaveBeenCalledTimes(1)
+  })
+
+  test('gives up after the configured retries', async () => {
+    respond({ status: 503 })
+    expect((await new Transport({ retries: 1, retryDelay: 1 }).fetch('https://immers.example/')).status).toBe(503)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    respond(new TypeError('fetch failed'))
+    await expect(new Transport({ retryDelay: 1 }).fetch('https://immers.example/', { retries: 0 }))
+      .rejects.toMatchObject({ name: 'ImmersNetworkError', iri: 'https://immers.example/', timedOut: false })
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('only retries other methods if asked', async () => {
+    const transport = new Transport({ retryDelay: 1 })
+    respond({ status: 503 }, { status: 201 })
+    expect((await transport.fetch('https://immers.example/', { method: 'post' })).status).toBe(503)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    respond({ status: 503 }, { status: 201 })
+    expect((await transport.fetch('https://immers.example/', { method: 'POST', retries: 1 })).status).toBe(201)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  test('doesn\'t retry client errors', async () => {
+    respond({ status: 404 })
+    expect((await new Transport({ retryDelay: 1 }).fetch('https://immers.example/')).status).toBe(404)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('releases responses that are retried', async () => {
+    const responses = [
+      new globalThis.Response('busy', { status: 503 }),
+      new globalThis.Response('ok')
+    ]
+    fetch.mockImplementation(async () => responses.shift())
+    const retried = responses[0]
+    const response = await new Transport({ retryDelay: 1 }).fetch('https://immers.example/')
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(await response.text()).toBe('ok')
+    expect(retried.bodyUsed).toBe(true)
+  })
+
+  test('times out', async () => {
+    hang()
+    const transport = new Transport({ timeout: 20, retries: 0 })
+    await expect(transport.fetch('https://immers.example/')).rejects.toMatchObject({
+      name: 'ImmersNetworkError',
+      message: 'GET https://immers.example/ timed out after 20ms',
+      timedOut: true
+    })
+    await expect(transport.fetch('https://immers.example/', { timeout: 10 })).rejects.toThrow('timed out after 10ms')
+  })
+
+  test('passes through aborts by the caller without retrying', async () => {
+    hang()
+    const controller = new globalThis.AbortController()
+    const request = new Transport({ retryDelay: 1 }).fetch('https://immers.example/', { signal: controller.signal })
+    controller.abort()
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' })
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+})
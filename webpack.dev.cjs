@@ -1,5 +1,5 @@
 const { merge } = require('webpack-merge')
-const common = require('./webpack.common.js')
+const common = require('./webpack.common.cjs')
 const HtmlWebpackPlugin = require('html-webpack-plugin')
 
 module.exports = merge(common, {